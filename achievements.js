@@ -0,0 +1,80 @@
+/* achievements.js */
+/* Achievements and what each live run adds to the lifetime stats (both saved through storage.js).
+   A RunStats follows player one's bird through a Simulation's events; every achievement is a plain
+   test over that run and the lifetime totals, so game.js can check them as the run goes and toast
+   the moment one unlocks.
+*/
+
+const CALM_PILLARS = 10;               // pillars in a row for 'low-flyer'
+const MARATHON_TICKS = 2 * 60 * 60;    // 2 minutes in the air
+
+/* test(run, totals): run is a RunStats, totals the lifetime stats with this run's flaps and pillars added */
+const ACHIEVEMENTS = [
+  { id: 'first-flight', label: 'First flight', description: 'Finish your first game', test: (run, totals) => totals.games >= 1 },
+  { id: 'score-10', label: 'Getting the hang of it', description: 'Score 10 in one run', test: (run) => run.score >= 10 },
+  { id: 'score-25', label: 'Column climber', description: 'Score 25 in one run', test: (run) => run.score >= 25 },
+  { id: 'score-50', label: 'Pillar dancer', description: 'Score 50 in one run', test: (run) => run.score >= 50 },
+  { id: 'score-100', label: 'Centurion', description: 'Score 100 in one run', test: (run) => run.score >= 100 },
+  { id: 'low-flyer', label: 'Low flyer', description: `Pass ${CALM_PILLARS} pillars in a row without flapping above a gap's centre`,
+    test: (run) => run.bestCalm >= CALM_PILLARS },
+  { id: 'marathon', label: 'Marathon', description: 'Stay in the air for 2 minutes', test: (run) => run.ticks >= MARATHON_TICKS },
+  { id: 'magpie', label: 'Magpie', description: 'Collect 10 coins in one run', test: (run) => run.coins >= 10 },
+  { id: 'architect', label: 'Architect', description: 'Clear a course from the editor', test: (run) => run.cleared },
+  { id: 'games-10', label: 'Regular', description: 'Play 10 games', test: (run, totals) => totals.games >= 10 },
+  { id: 'games-100', label: 'Devoted', description: 'Play 100 games', test: (run, totals) => totals.games >= 100 },
+  { id: 'pillars-1000', label: 'Stonemason', description: 'Pass 1,000 pillars in total', test: (run, totals) => totals.pillars >= 1000 },
+  { id: 'flaps-10000', label: 'Tireless wings', description: 'Flap 10,000 times in total', test: (run, totals) => totals.flaps >= 10000 }
+];
+
+class RunStats {
+  constructor(sim, player = 0) {
+    this.sim = sim;
+    this.bird = sim.birds[player];
+    this.flaps = 0;
+    this.pillars = 0;
+    this.calm = 0;     // pillars passed since the last flap above the next gap's centre
+    this.bestCalm = 0;
+    this.death = null; // 'pillar', 'floor' or 'ceiling' once the bird is down
+    this.cleared = false;
+    this.finished = false; // counted in the lifetime stats
+
+    sim
+      .on('flap', (e) => { if (e.bird === this.bird) this.onFlap(); })
+      .on('score', (e) => {
+        if (e.bird !== this.bird) return;
+        this.pillars++;
+        this.bestCalm = Math.max(this.bestCalm, ++this.calm);
+      })
+      .on('hit', (e) => {
+        if (e.bird !== this.bird) return;
+        this.death = e.pillar ? 'pillar' : (e.bird.y < BASE_HEIGHT / 2 ? 'ceiling' : 'floor');
+      })
+      .on('cleared', () => { this.cleared = true; });
+  }
+
+  get score() { return this.bird.score; }
+  get coins() { return this.bird.coins; }
+  // time in the air: up to the fatal hit, or so far
+  get ticks() { return this.bird.hitTick == null ? this.sim.tick : this.bird.hitTick; }
+
+  onFlap() {
+    this.flaps++;
+    // screen y grows downwards, so above the centre is a smaller y
+    const next = this.sim.pillars.find((p) => !p.passed && p.x + p.width > this.bird.x);
+    if (next && this.bird.y < next.gapY) this.calm = 0;
+  }
+
+  // lifetime stats with this run's flaps and pillars so far; once finished it is already counted (and a game)
+  totals(stats) {
+    if (this.finished) return stats;
+    return { ...stats, flaps: stats.flaps + this.flaps, pillars: stats.pillars + this.pillars };
+  }
+}
+
+/* achievements this run has earned that data doesn't have yet */
+function earnedAchievements(data, run) {
+  const totals = run.totals(data.stats);
+  return ACHIEVEMENTS.filter((a) => !data.achievements[a.id] && a.test(run, totals));
+}
+
+/* End of file */
@@ -0,0 +1,346 @@
+/* audio.js */
+/* Web Audio mixer: SFX and music buses under one master gain, driven by the sound volume,
+   music volume and mute settings. Sound files are loaded from assets/ when present; any that
+   are missing (or fail to decode) are replaced by synthesized sounds, and a missing music file
+   by a short generated loop, so the game is never silent.
+   Browsers only allow audio after a user gesture, so nothing is created until unlock().
+*/
+
+const SOUND_FILES = {
+  flap: 'assets/flap.wav',
+  point: 'assets/point.wav',
+  hit: 'assets/hit.wav',
+  coin: 'assets/coin.wav',
+  powerup: 'assets/powerup.wav',
+  shield: 'assets/shield.wav',
+  crumble: 'assets/crumble.wav',
+  music: 'assets/bgm.mp3'
+};
+
+/* Random pitch spread per sound (fraction of normal playback rate), so repeats don't drone */
+const PITCH_VARIATION = { flap: 0.08, point: 0.03, hit: 0.05, coin: 0.06 };
+
+/* Points scored in quick succession climb in pitch, up to POINT_PITCH_STEPS semitones */
+const POINT_CHAIN_MS = 2500;
+const POINT_PITCH_STEPS = 6;
+
+class AudioMixer {
+  constructor() {
+    this.ctx = null;
+    this.buffers = {}; // name -> AudioBuffer, once loaded or generated
+    this.volumes = { sfx: 0.8, music: 0.4, muted: false };
+    this.music = null; // playing music source
+    this.musicOffset = 0; // seconds into the loop where paused music resumes
+    this.musicStartedAt = 0;
+    this.wantMusic = false; // music was asked for before audio could start
+    this.pointChain = 0;
+    this.lastPointAt = -Infinity;
+  }
+
+  get available() {
+    return !!(window.AudioContext || window.webkitAudioContext);
+  }
+
+  // call from a user gesture handler; creates the context on first use
+  unlock() {
+    if (!this.available) return;
+    if (!this.ctx) {
+      const Ctx = window.AudioContext || window.webkitAudioContext;
+      this.ctx = new Ctx();
+      this.master = this.ctx.createGain();
+      this.master.connect(this.ctx.destination);
+      this.sfxBus = this.ctx.createGain();
+      this.sfxBus.connect(this.master);
+      this.musicBus = this.ctx.createGain();
+      this.musicBus.connect(this.master);
+      this.noise = createNoiseBuffer(this.ctx);
+      this.applyVolumes();
+      this.loadAll();
+    }
+    if (this.ctx.state === 'suspended') this.ctx.resume().catch(() => {});
+  }
+
+  setVolumes({ sfx = this.volumes.sfx, music = this.volumes.music, muted = this.volumes.muted } = {}) {
+    this.volumes = { sfx, music, muted };
+    this.applyVolumes();
+  }
+
+  applyVolumes() {
+    if (!this.ctx) return;
+    const t = this.ctx.currentTime;
+    // short ramps so slider drags and mute don't click
+    this.master.gain.setTargetAtTime(this.volumes.muted ? 0 : 1, t, 0.015);
+    this.sfxBus.gain.setTargetAtTime(this.volumes.sfx, t, 0.015);
+    this.musicBus.gain.setTargetAtTime(this.volumes.music, t, 0.015);
+  }
+
+  loadAll() {
+    for (let name of Object.keys(SOUND_FILES)) {
+      loadSound(this.ctx, SOUND_FILES[name])
+        .then((buffer) => { this.buffers[name] = buffer; })
+        .catch(() => {
+          // no file: sfx are synthesized on every play, music is generated once
+          if (name === 'music') this.buffers.music = renderMusicLoop(this.ctx);
+        })
+        .then(() => {
+          if (name === 'music' && this.wantMusic) this.playMusic();
+        });
+    }
+  }
+
+  /* -------------------------
+     Sound effects
+     ------------------------- */
+  play(name) {
+    if (!this.ctx || this.ctx.state !== 'running') return;
+    let rate = 1 + (Math.random() * 2 - 1) * (PITCH_VARIATION[name] || 0);
+    if (name === 'point') rate *= this.pointPitch();
+    const buffer = this.buffers[name];
+    if (buffer) {
+      const src = this.ctx.createBufferSource();
+      src.buffer = buffer;
+      src.playbackRate.value = rate;
+      src.connect(this.sfxBus);
+      src.start();
+    } else if (SYNTH_SOUNDS[name]) {
+      SYNTH_SOUNDS[name](this, rate);
+    }
+  }
+
+  // each point soon after the last one plays a semitone higher
+  pointPitch() {
+    const now = this.ctx.currentTime * 1000;
+    this.pointChain = now - this.lastPointAt < POINT_CHAIN_MS ? Math.min(POINT_PITCH_STEPS, this.pointChain + 1) : 0;
+    this.lastPointAt = now;
+    return Math.pow(2, this.pointChain / 12);
+  }
+
+  /* -------------------------
+     Music
+     ------------------------- */
+  playMusic() {
+    this.wantMusic = true;
+    if (!this.ctx || this.music || !this.buffers.music) return;
+    const buffer = this.buffers.music;
+    const src = this.ctx.createBufferSource();
+    src.buffer = buffer;
+    src.loop = true;
+    src.connect(this.musicBus);
+    src.start(0, this.musicOffset % buffer.duration);
+    this.musicStartedAt = this.ctx.currentTime - this.musicOffset;
+    this.music = src;
+  }
+
+  // keeps the position, so the next playMusic() carries on where this left off
+  pauseMusic() {
+    this.wantMusic = false;
+    if (!this.music) return;
+    this.musicOffset = (this.ctx.currentTime - this.musicStartedAt) % this.buffers.music.duration;
+    this.music.stop();
+    this.music = null;
+  }
+
+  stopMusic() {
+    this.pauseMusic();
+    this.musicOffset = 0;
+  }
+}
+
+function loadSound(ctx, url) {
+  return fetch(url)
+    .then((res) => {
+      if (!res.ok) throw new Error(`${url}: ${res.status}`);
+      return res.arrayBuffer();
+    })
+    // callback form: older Safari's decodeAudioData doesn't return a promise
+    .then((data) => new Promise((resolve, reject) => ctx.decodeAudioData(data, resolve, reject)));
+}
+
+/* -------------------------
+   Synthesized fallbacks (rate: playback-rate multiplier from the pitch variation)
+   ------------------------- */
+const SYNTH_SOUNDS = {
+  // soft wing whoosh: band-passed noise sweeping down
+  flap(mixer, rate) {
+    const { ctx, sfxBus } = mixer;
+    const t = ctx.currentTime;
+    const src = ctx.createBufferSource();
+    src.buffer = mixer.noise;
+    const filter = ctx.createBiquadFilter();
+    filter.type = 'bandpass';
+    filter.Q.value = 1.2;
+    filter.frequency.setValueAtTime(1800 * rate, t);
+    filter.frequency.exponentialRampToValueAtTime(500 * rate, t + 0.12);
+    const gain = envelope(ctx, t, 0.005, 0.12, 0.5);
+    src.connect(filter).connect(gain).connect(sfxBus);
+    src.start(t);
+    src.stop(t + 0.14);
+  },
+
+  // two-note chime
+  point(mixer, rate) {
+    const { ctx, sfxBus } = mixer;
+    const t = ctx.currentTime;
+    [[880, 0], [1320, 0.07]].forEach(([freq, delay]) => {
+      const osc = ctx.createOscillator();
+      osc.type = 'triangle';
+      osc.frequency.value = freq * rate;
+      const gain = envelope(ctx, t + delay, 0.005, 0.22, 0.35);
+      osc.connect(gain).connect(sfxBus);
+      osc.start(t + delay);
+      osc.stop(t + delay + 0.25);
+    });
+  },
+
+  // bright high ping
+  coin(mixer, rate) {
+    const { ctx, sfxBus } = mixer;
+    const t = ctx.currentTime;
+    const osc = ctx.createOscillator();
+    osc.type = 'square';
+    osc.frequency.setValueAtTime(1568 * rate, t);
+    osc.frequency.setValueAtTime(2093 * rate, t + 0.05);
+    osc.connect(envelope(ctx, t, 0.003, 0.15, 0.18)).connect(sfxBus);
+    osc.start(t);
+    osc.stop(t + 0.18);
+  },
+
+  // quick rising arpeggio
+  powerup(mixer, rate) {
+    const { ctx, sfxBus } = mixer;
+    const t = ctx.currentTime;
+    [523, 659, 784, 1047].forEach((freq, i) => {
+      const start = t + i * 0.05;
+      const osc = ctx.createOscillator();
+      osc.type = 'triangle';
+      osc.frequency.value = freq * rate;
+      osc.connect(envelope(ctx, start, 0.005, 0.14, 0.3)).connect(sfxBus);
+      osc.start(start);
+      osc.stop(start + 0.16);
+    });
+  },
+
+  // glassy crack: a high tone dropping fast over bright noise
+  shield(mixer, rate) {
+    const { ctx, sfxBus } = mixer;
+    const t = ctx.currentTime;
+    const osc = ctx.createOscillator();
+    osc.type = 'sawtooth';
+    osc.frequency.setValueAtTime(1200 * rate, t);
+    osc.frequency.exponentialRampToValueAtTime(300 * rate, t + 0.2);
+    osc.connect(envelope(ctx, t, 0.002, 0.22, 0.2)).connect(sfxBus);
+    osc.start(t);
+    osc.stop(t + 0.25);
+
+    const src = ctx.createBufferSource();
+    src.buffer = mixer.noise;
+    const filter = ctx.createBiquadFilter();
+    filter.type = 'highpass';
+    filter.frequency.value = 3000;
+    src.connect(filter).connect(envelope(ctx, t, 0.002, 0.12, 0.4)).connect(sfxBus);
+    src.start(t);
+    src.stop(t + 0.14);
+  },
+
+  // stone rumble: low-passed noise swelling and dying away
+  crumble(mixer, rate) {
+    const { ctx, sfxBus } = mixer;
+    const t = ctx.currentTime;
+    const src = ctx.createBufferSource();
+    src.buffer = mixer.noise;
+    src.loop = true;
+    const filter = ctx.createBiquadFilter();
+    filter.type = 'lowpass';
+    filter.frequency.value = 380 * rate;
+    src.connect(filter).connect(envelope(ctx, t, 0.04, 0.45, 0.7)).connect(sfxBus);
+    src.start(t);
+    src.stop(t + 0.5);
+  },
+
+  // stone thud: a falling low tone under a burst of muffled noise
+  hit(mixer, rate) {
+    const { ctx, sfxBus } = mixer;
+    const t = ctx.currentTime;
+    const osc = ctx.createOscillator();
+    osc.type = 'sine';
+    osc.frequency.setValueAtTime(160 * rate, t);
+    osc.frequency.exponentialRampToValueAtTime(45 * rate, t + 0.25);
+    osc.connect(envelope(ctx, t, 0.002, 0.3, 0.9)).connect(sfxBus);
+    osc.start(t);
+    osc.stop(t + 0.32);
+
+    const src = ctx.createBufferSource();
+    src.buffer = mixer.noise;
+    const filter = ctx.createBiquadFilter();
+    filter.type = 'lowpass';
+    filter.frequency.value = 900 * rate;
+    src.connect(filter).connect(envelope(ctx, t, 0.002, 0.18, 0.6)).connect(sfxBus);
+    src.start(t);
+    src.stop(t + 0.2);
+  }
+};
+
+// gain node with a quick attack to peak, then an exponential decay over `decay` seconds
+function envelope(ctx, t, attack, decay, peak) {
+  const gain = ctx.createGain();
+  gain.gain.setValueAtTime(0.0001, t);
+  gain.gain.exponentialRampToValueAtTime(peak, t + attack);
+  gain.gain.exponentialRampToValueAtTime(0.0001, t + attack + decay);
+  return gain;
+}
+
+function createNoiseBuffer(ctx) {
+  const buffer = ctx.createBuffer(1, Math.floor(ctx.sampleRate * 0.5), ctx.sampleRate);
+  const data = buffer.getChannelData(0);
+  for (let i = 0; i < data.length; i++) data[i] = Math.random() * 2 - 1;
+  return buffer;
+}
+
+/* -------------------------
+   Generated music: a plucked pentatonic melody over a bass drone, rendered once into a looping buffer
+   ------------------------- */
+const MUSIC_BPM = 96;
+const MUSIC_BARS = 8;
+const MUSIC_SCALE = [0, 3, 5, 7, 10, 12, 15]; // minor pentatonic, semitones above the root
+const MUSIC_ROOT = 220; // A3
+const MUSIC_BASS = [0, 0, -4, -2, 0, 0, -5, -2]; // bass root per bar, semitones from MUSIC_ROOT / 2
+
+function renderMusicLoop(ctx) {
+  const rate = ctx.sampleRate;
+  const beat = 60 / MUSIC_BPM;
+  const length = Math.floor(MUSIC_BARS * 4 * beat * rate);
+  const buffer = ctx.createBuffer(1, length, rate);
+  const out = buffer.getChannelData(0);
+  const rng = createRng(0xA5E); // same tune every time
+
+  // bass: one long soft note per bar
+  MUSIC_BASS.forEach((step, bar) => {
+    const freq = MUSIC_ROOT / 2 * Math.pow(2, step / 12);
+    addNote(out, rate, bar * 4 * beat, 4 * beat, freq, 0.18, 1.8);
+  });
+
+  // melody: eighth notes wandering the scale, with rests
+  let degree = 2;
+  for (let i = 0; i < MUSIC_BARS * 8; i++) {
+    if (rng() < 0.3) continue;
+    degree = Math.max(0, Math.min(MUSIC_SCALE.length - 1, degree + Math.floor(rng() * 5) - 2));
+    const freq = MUSIC_ROOT * Math.pow(2, MUSIC_SCALE[degree] / 12);
+    addNote(out, rate, i * beat / 2, beat * 1.5, freq, 0.12, 5);
+  }
+  return buffer;
+}
+
+// plucked tone (fundamental plus a soft octave) with exponential decay; wraps past the loop end
+function addNote(out, rate, start, duration, freq, volume, decay) {
+  const first = Math.floor(start * rate);
+  const count = Math.floor(duration * rate);
+  for (let i = 0; i < count; i++) {
+    const t = i / rate;
+    const attack = Math.min(1, t / 0.01);
+    const v = volume * attack * Math.exp(-decay * t) *
+      (Math.sin(2 * Math.PI * freq * t) + 0.3 * Math.sin(4 * Math.PI * freq * t));
+    out[(first + i) % out.length] += v;
+  }
+}
+
+/* End of file */
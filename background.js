@@ -0,0 +1,282 @@
+/* background.js */
+/* Parallax world behind the pillars: sky, far hills, ruined temples, near clouds and a ground strip,
+   each scrolling at a fraction of the pillar speed, plus a day -> dusk -> night palette cycle tied to
+   distance travelled. Every layer is painted once per palette into a seamless offscreen tile, so a
+   frame is a handful of blits; palette changes cross-fade between two tiles.
+   The accessible colour schemes (settings) swap the cycle for one fixed palette, and with reduced
+   motion the far layers stand still instead of scrolling at different speeds.
+*/
+
+const GROUND_HEIGHT = 28;
+
+/* Back to front. factor: scroll speed as a fraction of pillar speed (1 = moves with the pillars) */
+const PARALLAX_LAYERS = [
+  { name: 'hills',   factor: 0.1,  y: 380, h: 340, paint: paintHills },
+  { name: 'temples', factor: 0.25, y: 420, h: 300, paint: paintTemples },
+  { name: 'clouds',  factor: 0.5,  y: 30,  h: 240, paint: paintClouds },
+  { name: 'ground',  factor: 1,    y: BASE_HEIGHT - GROUND_HEIGHT, h: GROUND_HEIGHT, paint: paintGround }
+];
+
+const PALETTES = {
+  day: {
+    sky: ['#87CEEB', '#bfe9ff'], hills: '#9cc49a', temples: '#d8c8a8', templeShade: '#bfae8f',
+    clouds: 'rgba(255,255,255,0.95)', ground: '#c2a67a', groundTop: '#86b35f', stars: 0
+  },
+  dusk: {
+    sky: ['#e9876a', '#ffd29a'], hills: '#a97c74', temples: '#c79c7f', templeShade: '#a77d65',
+    clouds: 'rgba(255,220,200,0.9)', ground: '#9a7552', groundTop: '#7a7d45', stars: 0.25
+  },
+  night: {
+    sky: ['#0b1433', '#2b3f6b'], hills: '#22304d', temples: '#34405c', templeShade: '#28324a',
+    clouds: 'rgba(150,165,205,0.35)', ground: '#3b3546', groundTop: '#2e4236', stars: 1
+  },
+  // a pale, quiet backdrop so dark pillars stand out as strongly as possible
+  contrast: {
+    sky: ['#f7faff', '#eef3fa'], hills: '#e2e8f0', temples: '#d8dfe9', templeShade: '#cdd5e1',
+    clouds: 'rgba(255,255,255,0.7)', ground: '#1c1c1c', groundTop: '#000000', stars: 0
+  },
+  // day without greens or reds: blue sky, grey-blue hills, sand
+  colorblind: {
+    sky: ['#6fb1e4', '#d3ebfb'], hills: '#a7b6c8', temples: '#e3d6bb', templeShade: '#c6b796',
+    clouds: 'rgba(255,255,255,0.95)', ground: '#b38f63', groundTop: '#7d6a4f', stars: 0
+  }
+};
+
+/* Colour schemes chosen in settings. palette: a fixed PALETTES entry instead of the day cycle (null = cycle);
+   pillar: stone colours for game.js (stone gradient, crack lines, capital band and highlight);
+   pickups: PICKUP_COLORS overrides, picked to stay apart for red-green colour blindness */
+const COLOR_SCHEMES = {
+  standard: { label: 'Standard', palette: null, pillar: null, pickups: {} },
+  contrast: {
+    label: 'High contrast', palette: 'contrast',
+    pillar: { stone: ['#3a3a3a', '#1c1c1c'], crack: 'rgba(255,255,255,0.1)', dark: '#ffd400', light: '#ffffff' },
+    pickups: { coin: '#ffb000', shield: '#0050d0', slowmo: '#8a2be2', shrink: '#00a0a0', magnet: '#d00000' }
+  },
+  colorblind: {
+    label: 'Colour-blind safe', palette: 'colorblind',
+    pillar: { stone: ['#f0e4cf', '#cdb893'], crack: 'rgba(0,0,0,0.1)', dark: '#5a4632', light: '#fff4de' },
+    pickups: { coin: '#e69f00', shield: '#0072b2', slowmo: '#cc79a7', shrink: '#56b4e9', magnet: '#d55e00' }
+  }
+};
+
+/* set from settings by game.js */
+const worldStyle = {
+  scheme: 'standard', // COLOR_SCHEMES key
+  still: false        // reduced motion: far layers don't scroll
+};
+
+/* One full day every DAY_CYCLE_DISTANCE pixels; keys mark where each palette is fully shown */
+const DAY_CYCLE_DISTANCE = 30000;
+const DAY_CYCLE = [
+  { at: 0.00, palette: 'day' },
+  { at: 0.40, palette: 'day' },
+  { at: 0.50, palette: 'dusk' },
+  { at: 0.60, palette: 'night' },
+  { at: 0.85, palette: 'night' },
+  { at: 0.93, palette: 'dusk' },
+  { at: 1.00, palette: 'day' }
+];
+
+const layerTiles = {}; // palette name -> { sky, hills, temples, clouds, ground } canvases
+
+/* distance: world pixels scrolled so far (interpolated by the caller) */
+function drawBackground(ctx, distance = 0) {
+  const fixed = COLOR_SCHEMES[worldStyle.scheme].palette;
+  const { from, to, t } = fixed ? { from: fixed, to: fixed, t: 0 } : paletteBlend(distance);
+  drawBlended(ctx, from, to, t, (tiles) => ctx.drawImage(tiles.sky, 0, 0));
+  for (let layer of PARALLAX_LAYERS) {
+    // the ground moves with the pillars either way, so flying still reads as moving
+    const offset = worldStyle.still && layer.factor < 1 ? 0 : distance * layer.factor;
+    drawBlended(ctx, from, to, t, (tiles) => drawTiled(ctx, tiles[layer.name], offset, layer.y));
+  }
+}
+
+// draw with the outgoing palette, then the incoming one on top at weight t
+function drawBlended(ctx, from, to, t, draw) {
+  draw(paletteTiles(from));
+  if (t > 0 && to !== from) {
+    ctx.save();
+    ctx.globalAlpha = t;
+    draw(paletteTiles(to));
+    ctx.restore();
+  }
+}
+
+function drawTiled(ctx, tile, offset, y) {
+  const x = -Math.floor(offset % tile.width);
+  ctx.drawImage(tile, x, y);
+  ctx.drawImage(tile, x + tile.width, y);
+}
+
+function paletteBlend(distance) {
+  const pos = (distance % DAY_CYCLE_DISTANCE) / DAY_CYCLE_DISTANCE;
+  for (let i = 1; i < DAY_CYCLE.length; i++) {
+    const a = DAY_CYCLE[i - 1];
+    const b = DAY_CYCLE[i];
+    if (pos <= b.at) return { from: a.palette, to: b.palette, t: (pos - a.at) / (b.at - a.at) };
+  }
+  return { from: 'day', to: 'day', t: 0 };
+}
+
+function paletteTiles(name) {
+  if (!layerTiles[name]) {
+    const palette = PALETTES[name];
+    const tiles = { sky: paintSky(palette) };
+    for (let layer of PARALLAX_LAYERS) {
+      tiles[layer.name] = createOffscreen(BASE_WIDTH, layer.h);
+      layer.paint(tiles[layer.name].getContext('2d'), BASE_WIDTH, layer.h, palette);
+    }
+    layerTiles[name] = tiles;
+  }
+  return layerTiles[name];
+}
+
+/* -------------------------
+   Layer painters (each tile must wrap seamlessly at its left/right edges)
+   ------------------------- */
+function paintSky(palette) {
+  const tile = createOffscreen(BASE_WIDTH, BASE_HEIGHT);
+  const sctx = tile.getContext('2d');
+  const g = sctx.createLinearGradient(0, 0, 0, BASE_HEIGHT);
+  g.addColorStop(0, palette.sky[0]);
+  g.addColorStop(1, palette.sky[1]);
+  sctx.fillStyle = g;
+  sctx.fillRect(0, 0, BASE_WIDTH, BASE_HEIGHT);
+
+  // stars, fixed positions so the cross-fade doesn't shimmer
+  if (palette.stars > 0) {
+    const rng = createRng(1977);
+    sctx.fillStyle = `rgba(255,255,240,${palette.stars})`;
+    for (let i = 0; i < 90; i++) {
+      const r = rng() < 0.15 ? 1.6 : 0.9;
+      sctx.beginPath();
+      sctx.arc(rng() * BASE_WIDTH, rng() * BASE_HEIGHT * 0.6, r, 0, Math.PI*2);
+      sctx.fill();
+    }
+  }
+
+  // sun by day and dusk (lower and redder), moon by night
+  if (palette === PALETTES.night) {
+    sctx.fillStyle = '#f4f1de';
+    sctx.beginPath();
+    sctx.arc(1030, 110, 34, 0, Math.PI*2);
+    sctx.fill();
+    sctx.fillStyle = palette.sky[0];
+    sctx.beginPath();
+    sctx.arc(1046, 100, 30, 0, Math.PI*2);
+    sctx.fill();
+  } else {
+    const dusk = palette === PALETTES.dusk;
+    sctx.fillStyle = dusk ? 'rgba(255,170,90,0.95)' : 'rgba(255,249,214,0.95)';
+    sctx.beginPath();
+    sctx.arc(1030, dusk ? 430 : 110, dusk ? 60 : 44, 0, Math.PI*2);
+    sctx.fill();
+  }
+  return tile;
+}
+
+/* rolling hills: a sum of sines whose periods divide the tile width, so the edges meet */
+function paintHills(ctx, w, h, palette) {
+  ctx.fillStyle = palette.hills;
+  ctx.beginPath();
+  ctx.moveTo(0, h);
+  for (let x = 0; x <= w; x += 8) {
+    const a = (x / w) * Math.PI * 2;
+    const y = 150 - 50 * Math.sin(a * 2 + 0.6) - 28 * Math.sin(a * 5 + 1.9) - 12 * Math.sin(a * 11);
+    ctx.lineTo(x, y);
+  }
+  ctx.lineTo(w, h);
+  ctx.closePath();
+  ctx.fill();
+}
+
+/* ruined temples: broken colonnades and a cracked pediment, kept clear of the tile edges */
+function paintTemples(ctx, w, h, palette) {
+  const rng = createRng(4242);
+  const groundY = h;
+  const column = (x, height, broken) => {
+    ctx.fillStyle = palette.temples;
+    ctx.fillRect(x, groundY - height, 18, height);
+    ctx.fillStyle = palette.templeShade;
+    ctx.fillRect(x + 12, groundY - height, 6, height);
+    if (broken) {
+      // jagged top where the column snapped
+      ctx.fillStyle = palette.temples;
+      ctx.beginPath();
+      ctx.moveTo(x, groundY - height);
+      ctx.lineTo(x + 6, groundY - height - 8);
+      ctx.lineTo(x + 11, groundY - height - 2);
+      ctx.lineTo(x + 18, groundY - height - 10);
+      ctx.lineTo(x + 18, groundY - height);
+      ctx.fill();
+    } else {
+      ctx.fillRect(x - 4, groundY - height - 8, 26, 8); // capital
+    }
+  };
+
+  // intact temple front with a broken pediment
+  const tx = 140;
+  for (let i = 0; i < 5; i++) column(tx + i * 40, 150, false);
+  ctx.fillStyle = palette.temples;
+  ctx.fillRect(tx - 10, groundY - 172, 198, 14);
+  ctx.beginPath();
+  ctx.moveTo(tx - 10, groundY - 172);
+  ctx.lineTo(tx + 89, groundY - 220);
+  ctx.lineTo(tx + 120, groundY - 205);
+  ctx.lineTo(tx + 112, groundY - 190);
+  ctx.lineTo(tx + 130, groundY - 180);
+  ctx.lineTo(tx + 130, groundY - 172);
+  ctx.closePath();
+  ctx.fill();
+
+  // scattered broken colonnades
+  for (let group = 0; group < 3; group++) {
+    const gx = 520 + group * 240;
+    const count = 2 + Math.floor(rng() * 3);
+    for (let i = 0; i < count; i++) {
+      column(gx + i * 34, 40 + Math.floor(rng() * 110), rng() < 0.7);
+    }
+    // fallen drum lying on the ground
+    ctx.fillStyle = palette.templeShade;
+    ctx.fillRect(gx + count * 34 + 6, groundY - 14, 34, 14);
+  }
+}
+
+/* near clouds, each drawn twice across the wrap so it can straddle the edge */
+function paintClouds(ctx, w, h, palette) {
+  const clouds = [[150, 90, 1.0], [430, 50, 0.9], [760, 120, 1.1], [1060, 70, 0.8], [1230, 160, 0.7]];
+  for (let [x, y, scale] of clouds) {
+    drawCloud(ctx, x, y, scale, palette.clouds);
+    drawCloud(ctx, x - w, y, scale, palette.clouds);
+  }
+}
+
+function drawCloud(ctx, x, y, scale = 1, color = 'rgba(255,255,255,0.95)') {
+  ctx.save();
+  ctx.translate(x, y);
+  ctx.scale(scale, scale);
+  ctx.fillStyle = color;
+  ctx.beginPath();
+  ctx.ellipse(0, 0, 48, 28, 0, 0, Math.PI*2);
+  ctx.moveTo(72, -6);
+  ctx.ellipse(36, -6, 36, 22, 0, 0, Math.PI*2);
+  ctx.moveTo(0, -6);
+  ctx.ellipse(-36, -6, 36, 22, 0, 0, Math.PI*2);
+  ctx.fill();
+  ctx.restore();
+}
+
+/* ground strip: grass edge over packed earth with evenly spaced stones (spacing divides the tile) */
+function paintGround(ctx, w, h, palette) {
+  ctx.fillStyle = palette.ground;
+  ctx.fillRect(0, 0, w, h);
+  ctx.fillStyle = palette.groundTop;
+  ctx.fillRect(0, 0, w, 6);
+  ctx.fillStyle = 'rgba(0,0,0,0.12)';
+  for (let x = 0; x < w; x += 40) {
+    ctx.fillRect(x + 8, 12, 14, 4);
+    ctx.fillRect(x + 26, 20, 8, 3);
+  }
+}
+
+/* End of file */
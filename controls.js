@@ -0,0 +1,138 @@
+/* controls.js */
+/* Input helpers: remappable key bindings, Gamepad API polling and moving focus through the
+   overlay panels with arrow keys or a D-pad. Bindings are KeyboardEvent.code strings, so they
+   follow the physical key whatever the keyboard layout; the saved defaults are in storage.js.
+   game.js decides what each action does.
+*/
+
+/* Standard gamepad mapping (https://w3c.github.io/gamepad/#remapping) */
+const PAD_FACE = [0, 1, 2, 3]; // A/B/X/Y (cross/circle/square/triangle)
+const PAD_CONFIRM = 0;
+const PAD_BACK = 1;
+const PAD_START = 9;
+const PAD_UP = 12;
+const PAD_DOWN = 13;
+const PAD_LEFT = 14;
+const PAD_RIGHT = 15;
+
+/* Shorter names for keys whose code reads badly on a button */
+const KEY_LABELS = {
+  Escape: 'Esc', Space: 'Space', Enter: 'Enter', Backspace: 'Backspace',
+  ArrowUp: '↑', ArrowDown: '↓', ArrowLeft: '←', ArrowRight: '→',
+  ShiftLeft: 'L Shift', ShiftRight: 'R Shift', ControlLeft: 'L Ctrl', ControlRight: 'R Ctrl',
+  AltLeft: 'L Alt', AltRight: 'R Alt'
+};
+
+/* the action bound to a key code, or null */
+function actionForKey(controls, code) {
+  for (let action of Object.keys(controls)) {
+    if (controls[action].includes(code)) return action;
+  }
+  return null;
+}
+
+/* one-switch mode: keys that can stand in for the switch (not Tab, modifiers or function keys, which the browser or system needs) */
+function isSwitchKey(code) {
+  return !!code && !/^(Tab|Shift|Control|Alt|Meta|OS|CapsLock|F\d+)/.test(code);
+}
+
+function copyControls(controls) {
+  const copy = {};
+  for (let action of Object.keys(controls)) copy[action] = controls[action].slice();
+  return copy;
+}
+
+/* a copy of controls with code in action's slot; a key does one thing, so it leaves any other slot */
+function rebindKey(controls, action, slot, code) {
+  const next = copyControls(controls);
+  for (let name of Object.keys(next)) {
+    next[name] = next[name].map((c) => (code && c === code ? '' : c));
+  }
+  next[action][slot] = code;
+  return next;
+}
+
+function keyLabel(code) {
+  if (!code) return '—';
+  if (KEY_LABELS[code]) return KEY_LABELS[code];
+  if (/^Key[A-Z]$/.test(code)) return code.slice(3);
+  if (/^Digit\d$/.test(code)) return code.slice(5);
+  if (code.startsWith('Numpad')) return `Num ${code.slice(6)}`;
+  return code;
+}
+
+/* "Space", "Esc or P": the keys bound to an action, for hints */
+function describeBinding(keys) {
+  const names = keys.filter(Boolean).map(keyLabel);
+  return names.length ? names.join(' or ') : 'no key';
+}
+
+/* -------------------------
+   Gamepads: polled once per frame, reporting buttons newly pressed since the last poll
+   ------------------------- */
+/* Pads are numbered in the order they are connected (0 = first), so player two is whoever holds the second one */
+class GamepadInput {
+  constructor() {
+    this.held = {}; // gamepad index -> pressed flag per button at the last poll
+  }
+
+  get available() {
+    return typeof navigator !== 'undefined' && typeof navigator.getGamepads === 'function';
+  }
+
+  // [{ pad, button }] for every button that went down since the last poll
+  poll() {
+    if (!this.available) return [];
+    const pressed = [];
+    let order = 0;
+    for (let pad of navigator.getGamepads()) {
+      if (!pad || !pad.connected) continue;
+      const before = this.held[pad.index] || [];
+      const now = pad.buttons.map((b) => b.pressed);
+      now.forEach((down, button) => {
+        if (down && !before[button]) pressed.push({ pad: order, button });
+      });
+      this.held[pad.index] = now;
+      order++;
+    }
+    return pressed;
+  }
+}
+
+/* -------------------------
+   Overlay focus navigation
+   ------------------------- */
+function focusableIn(container) {
+  const all = container.querySelectorAll('button, input, select, a[href]');
+  // skip disabled controls and anything inside a hidden block
+  return Array.from(all).filter((el) => !el.disabled && el.type !== 'file' && !el.closest('.hidden'));
+}
+
+/* step through the controls of container, wrapping around; starts at an end when focus is elsewhere */
+function moveFocus(container, step) {
+  const items = focusableIn(container);
+  if (!items.length) return;
+  const at = items.indexOf(document.activeElement);
+  const next = at < 0 ? (step > 0 ? 0 : items.length - 1) : (at + step + items.length) % items.length;
+  items[next].focus({ focusVisible: true });
+}
+
+/* left/right on a D-pad: change a focused slider or dropdown, otherwise move focus */
+function nudgeFocused(container, step) {
+  const el = document.activeElement;
+  if (!container.contains(el)) {
+    moveFocus(container, step);
+  } else if (el instanceof HTMLInputElement && el.type === 'range') {
+    if (step > 0) el.stepUp(); else el.stepDown();
+    el.dispatchEvent(new Event('input', { bubbles: true }));
+  } else if (el instanceof HTMLSelectElement) {
+    const index = Math.max(0, Math.min(el.options.length - 1, el.selectedIndex + step));
+    if (index === el.selectedIndex) return;
+    el.selectedIndex = index;
+    el.dispatchEvent(new Event('change', { bubbles: true }));
+  } else {
+    moveFocus(container, step);
+  }
+}
+
+/* End of file */
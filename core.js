@@ -0,0 +1,1472 @@
+/* core.js */
+/* DOM-free game simulation: physics, obstacle spawning, scoring and collision.
+   Loaded by index.html before game.js (which adds canvas, DOM and audio on top) and also
+   usable from Node for automated runs:
+
+     const { Simulation } = require('./core.js');
+     const sim = new Simulation();
+     sim.on('gameover', (e) => console.log(e.score));
+     sim.start();
+     while (!sim.over) { if (shouldFlap(sim)) sim.flap(); sim.step(); }
+
+   The simulation never touches the DOM; it reports what happens through events ('flap', 'score', 'hit',
+   'gameover' and the rest emitted below). All randomness comes from a seeded generator, so
+   `new Simulation({ seed })` always produces the same course, and a run is fully described
+   by its seed plus the ticks at which the player flapped (see Replays below).
+*/
+
+/* -------------------------
+   World constants
+   ------------------------- */
+const BASE_WIDTH = 1280;
+const BASE_HEIGHT = 720;
+
+/* Physics tuning */
+const GRAVITY = 0.45;           // gravity acceleration
+const FLAP_STRENGTH = -9.5;    // upward impulse on flap
+const MAX_DROP_SPEED = 12;     // terminal velocity
+const ROTATION_MAX = 0.9;      // radians
+const ROTATION_MIN = -0.6;
+
+/* Fixed-timestep simulation: every constant above and below is tuned per 60 Hz tick,
+   so the world advances in TICK_MS steps regardless of the display refresh rate. */
+const TICK_MS = 1000 / 60;
+
+const PILLAR_WIDTH = 110;
+const PILLAR_GAP = 220;        // wider vertical gap for easier control
+const PILLAR_SPACING = 420;    // horizontal spacing between pillars
+const PILLAR_SPEED = 3.6;      // background scroll speed
+const PILLAR_MIN_HEIGHT = 80;  // shortest stub a pillar may be cut to at the top or bottom
+
+/* Bump whenever a change alters how a given seed + input log plays out, so old replays are rejected */
+const PHYSICS_VERSION = 5;
+
+/* -------------------------
+   Difficulty: presets plus a score-driven progression curve (tune these here)
+   ------------------------- */
+/* Base values per preset; normal is the classic tuning above.
+   obstacles: chance of each special obstacle kind per pillar (see OBSTACLE_TYPES); the rest are static */
+const DIFFICULTY_PRESETS = {
+  easy:   { label: 'Easy',   gravity: 0.40,    gap: 260,        spacing: 460,            speed: 3.2,
+            obstacles: { oscillating: 0.10, closing: 0,    crumbling: 0,    wind: 0.08 } },
+  normal: { label: 'Normal', gravity: GRAVITY, gap: PILLAR_GAP, spacing: PILLAR_SPACING, speed: PILLAR_SPEED,
+            obstacles: { oscillating: 0.15, closing: 0.10, crumbling: 0.08, wind: 0.10 } },
+  hard:   { label: 'Hard',   gravity: 0.50,    gap: 195,        spacing: 400,            speed: 4.2,
+            obstacles: { oscillating: 0.20, closing: 0.15, crumbling: 0.12, wind: 0.12 } },
+  insane: { label: 'Insane', gravity: 0.55,    gap: 175,        spacing: 380,            speed: 5.0,
+            obstacles: { oscillating: 0.25, closing: 0.20, crumbling: 0.15, wind: 0.15 } }
+};
+const DEFAULT_DIFFICULTY = 'normal';
+const DAILY_DIFFICULTY = 'normal'; // the daily challenge is the same course for everyone, so one preset
+
+/* Keyframes by score, linearly interpolated and held after the last one:
+   gapScale multiplies the preset gap, speedScale the scroll speed, and variation is how far
+   (0..1 of the available room) a gap centre may stray from the middle of the screen. */
+const PROGRESSION_CURVE = [
+  { score: 0,   gapScale: 1.00, speedScale: 1.00, variation: 0.55 },
+  { score: 10,  gapScale: 0.96, speedScale: 1.05, variation: 0.70 },
+  { score: 30,  gapScale: 0.90, speedScale: 1.12, variation: 0.85 },
+  { score: 60,  gapScale: 0.85, speedScale: 1.20, variation: 0.95 },
+  { score: 100, gapScale: 0.80, speedScale: 1.30, variation: 1.00 }
+];
+
+/* Course parameters for a difficulty at a given score; tuning overrides preset fields (and flap / maxDrop) */
+function courseParams(difficulty, score, tuning = {}) {
+  const preset = { flap: FLAP_STRENGTH, maxDrop: MAX_DROP_SPEED, ...(DIFFICULTY_PRESETS[difficulty] || DIFFICULTY_PRESETS[DEFAULT_DIFFICULTY]), ...tuning };
+  const curve = PROGRESSION_CURVE;
+  let k = { ...curve[curve.length - 1] };
+  for (let i = 1; i < curve.length; i++) {
+    if (score < curve[i].score) {
+      const a = curve[i - 1];
+      const b = curve[i];
+      const t = (score - a.score) / (b.score - a.score);
+      k = { gapScale: lerp(a.gapScale, b.gapScale, t), speedScale: lerp(a.speedScale, b.speedScale, t), variation: lerp(a.variation, b.variation, t) };
+      break;
+    }
+  }
+  return {
+    gravity: preset.gravity,
+    flap: preset.flap,
+    maxDrop: preset.maxDrop,
+    gap: Math.round(preset.gap * k.gapScale),
+    spacing: preset.spacing,
+    speed: preset.speed * k.speedScale,
+    variation: k.variation,
+    obstacles: preset.obstacles
+  };
+}
+
+const BIRD_X = 220;
+const BIRD_RADIUS = 22;
+const SCORE_MAX = 999;
+const GAME_OVER_DELAY_MS = 600; // time between the hit and the game-over event
+
+/* Hitbox: the drawn body (a rounded square, or a circle for round skins) turning with the bird, swept
+   between ticks so nothing fast slips through a thin edge. The forgiving inset shrinks it for casual play. */
+const BIRD_CORNERS = { square: 8, round: BIRD_RADIUS }; // corner radius of each body shape
+const HITBOX_INSETS = { exact: 0, forgiving: 5 };        // px taken off every side
+const SWEEP_STEP = 4;                                     // px of movement between two hit tests in a tick
+
+/* Versus: up to MAX_PLAYERS birds share one course, started this far apart vertically */
+const MAX_PLAYERS = 2;
+const VERSUS_SPACING = 100;
+
+/* Knock-back on a hit: horizontal speed away from what was hit, bled off by drag every tick */
+const KNOCKBACK_SPEED = 5;
+const KNOCKBACK_FALL_SPEED = 2; // floor/ceiling hits push back less
+const KNOCKBACK_DRAG = 0.92;
+
+/* -------------------------
+   Pickups: coins and timed power-ups floating in pillar gaps
+   ------------------------- */
+/* Chance per pillar; at most one pickup per gap */
+const POWERUP_CHANCE = 0.1;
+const COIN_CHANCE = 0.55;
+const PICKUP_RADIUS = 16;
+
+/* ticks: how long each lasts once collected (collecting again restarts the timer) */
+const POWERUPS = {
+  shield: { label: 'Shield',  ticks: 600 }, // absorbs one hit
+  slowmo: { label: 'Slow-mo', ticks: 300 }, // the game runs at SLOWMO_PACE of real time
+  shrink: { label: 'Shrink',  ticks: 480 }, // bird radius scaled by SHRINK_SCALE
+  magnet: { label: 'Magnet',  ticks: 480 }  // coins within MAGNET_RANGE drift to the bird
+};
+const SLOWMO_PACE = 0.5;
+const SHRINK_SCALE = 0.6;
+const MAGNET_RANGE = 260;
+const MAGNET_PULL = 9;         // px per tick
+const SHIELD_GRACE_TICKS = 50; // can't be hit again right after the shield breaks
+
+/* -------------------------
+   Bird class (physics only; drawing lives in game.js)
+   ------------------------- */
+class Bird {
+  constructor(x, y, settings = {}) {
+    this.x = x;
+    this.y = y;
+    this.prevX = x; // previous tick position, used to interpolate rendering
+    this.prevY = y;
+    this.radius = BIRD_RADIUS; // visual size
+    this.vx = 0; // only non-zero while being knocked back after a hit
+    this.vy = 0;
+    this.rotation = 0;
+    this.prevRotation = 0;
+    this.color = settings.color || '#2ecc71';
+    this.eyeSize = settings.eyeSize || 12;
+    this.skin = settings.skin || 'classic'; // only drawn (see skins.js)
+    this.body = hasKey(BIRD_CORNERS, settings.body) ? settings.body : 'square'; // hitbox shape, from the skin
+    this.alive = true;
+    // each bird keeps its own score, coins and power-ups (they only differ in versus)
+    this.score = 0;
+    this.coins = 0;
+    this.powerups = {}; // kind -> ticks left
+    for (let kind of Object.keys(POWERUPS)) this.powerups[kind] = 0;
+    this.graceTicks = 0;
+    this.hitTick = null; // tick of the fatal hit
+    this.width = this.radius * 2;
+    this.height = this.radius * 2;
+    this.bounceTimer = 0;
+  }
+
+  flap(strength = FLAP_STRENGTH) {
+    this.vy = strength;
+  }
+
+  // advance one fixed tick
+  update(gravity = GRAVITY, maxDrop = MAX_DROP_SPEED) {
+    this.prevX = this.x;
+    this.prevY = this.y;
+    this.prevRotation = this.rotation;
+    if (!this.alive) {
+      // when dead, apply gravity but slower
+      this.vy += gravity * 0.6;
+    } else {
+      this.vy += gravity;
+    }
+    // clamp
+    if (this.vy > maxDrop) this.vy = maxDrop;
+    if (this.vy < -18) this.vy = -18;
+
+    this.x += this.vx;
+    this.y += this.vy;
+    this.vx *= KNOCKBACK_DRAG;
+
+    // rotation based on velocity
+    this.rotation = Math.max(ROTATION_MIN, Math.min(ROTATION_MAX, this.vy / 15));
+
+    // bounce-back timer reduces over time
+    if (this.bounceTimer > 0) this.bounceTimer -= TICK_MS;
+  }
+
+  // bounding circle (pickups and wind); pillars, floor and ceiling test getHitbox()
+  getBounds() {
+    return { x: this.x, y: this.y, r: this.radius };
+  }
+
+  /* the body as a square of half-size inner grown by corner on every side, turned by angle; t in [0, 1]
+     places it along the last tick's movement (0 where it was, 1 where it is) */
+  getHitbox(inset = 0, t = 1) {
+    const corner = Math.max(0, Math.min(BIRD_CORNERS[this.body], this.radius) - inset);
+    const inner = Math.max(0, this.radius - inset - corner);
+    const angle = lerp(this.prevRotation, this.rotation, t);
+    return {
+      x: lerp(this.prevX, this.x, t), y: lerp(this.prevY, this.y, t), inner, corner, angle,
+      reach: inner * (Math.abs(Math.cos(angle)) + Math.abs(Math.sin(angle))) + corner // half its height
+    };
+  }
+}
+
+/* -------------------------
+   Obstacles (geometry only; drawing lives in game.js)
+   ------------------------- */
+/* Pillar is the static pair and the base of every obstacle kind. The simulation only uses the
+   shared interface: update(speed) (which may return the name of an event to emit), getRects() for
+   collision, force(bird) for anything that pushes the bird, and gapY/gap (plus gapTop/gapBottom)
+   for where the way through is. */
+class Pillar {
+  constructor(x, gapY, decorSeed = 0, gap = PILLAR_GAP) {
+    this.kind = 'static';
+    this.x = x;
+    this.prevX = x;
+    this.width = PILLAR_WIDTH;
+    this.gapY = gapY; // center of gap
+    this.prevGapY = gapY;
+    this.gap = gap; // gap height
+    this.prevGap = gap;
+    this.decorSeed = decorSeed; // seeds the stone texture so decoration is reproducible too
+    this.passed = false;
+    this.speedChange = null; // courses: scroll speed from the moment the bird passes this pillar
+    this.age = 0; // ticks since spawned
+  }
+
+  // advance one fixed tick
+  update(speed = PILLAR_SPEED) {
+    this.prevX = this.x;
+    this.prevGapY = this.gapY;
+    this.prevGap = this.gap;
+    this.x -= speed;
+    this.age++;
+  }
+
+  get gapTop() { return this.gapY - this.gap/2; }
+  get gapBottom() { return this.gapY + this.gap/2; }
+
+  getRects() {
+    // return top and bottom rectangles for collision
+    return [
+      { x: this.x, y: 0, w: this.width, h: this.gapTop },
+      { x: this.x, y: this.gapBottom, w: this.width, h: BASE_HEIGHT - this.gapBottom }
+    ];
+  }
+
+  // vertical acceleration applied to the bird this tick
+  force(bird) { return 0; }
+}
+
+/* Keeps a moving gap's stubs at least this tall */
+const OBSTACLE_MIN_STUB = 40;
+
+/* Gap drifts up and down */
+const OSCILLATE_AMPLITUDE = 60;
+const OSCILLATE_PERIOD = [180, 260]; // ticks, picked per pillar
+
+class OscillatingPillar extends Pillar {
+  constructor(x, gapY, decorSeed, gap, rng) {
+    super(x, gapY, decorSeed, gap);
+    this.kind = 'oscillating';
+    this.baseGapY = gapY;
+    this.amplitude = Math.max(0, Math.min(OSCILLATE_AMPLITUDE, gapY - gap/2 - OBSTACLE_MIN_STUB, BASE_HEIGHT - gapY - gap/2 - OBSTACLE_MIN_STUB));
+    this.period = randRange(OSCILLATE_PERIOD[0], OSCILLATE_PERIOD[1], rng);
+    this.phase = rng() * Math.PI * 2;
+    this.gapY = this.prevGapY = this.gapAt(0);
+  }
+
+  gapAt(age) { return this.baseGapY + this.amplitude * Math.sin(this.phase + age / this.period * Math.PI * 2); }
+
+  update(speed) {
+    super.update(speed);
+    this.gapY = this.gapAt(this.age);
+  }
+}
+
+/* Gap opens and closes around its centre, never below CLOSE_MIN_GAP */
+const CLOSE_SCALE = 0.78; // narrowest gap as a fraction of the spawned one
+const CLOSE_MIN_GAP = BIRD_RADIUS * 2 * 3.2;
+const CLOSE_PERIOD = 180;
+
+class ClosingPillar extends Pillar {
+  constructor(x, gapY, decorSeed, gap, rng) {
+    super(x, gapY, decorSeed, gap);
+    this.kind = 'closing';
+    this.openGap = gap;
+    this.closedGap = Math.min(gap, Math.max(CLOSE_MIN_GAP, gap * CLOSE_SCALE));
+    this.phase = rng() * Math.PI * 2;
+    this.gap = this.prevGap = this.gapAt(0);
+  }
+
+  gapAt(age) {
+    const open = 0.5 + 0.5 * Math.cos(this.phase + age / CLOSE_PERIOD * Math.PI * 2); // 1 = fully open
+    return lerp(this.closedGap, this.openGap, open);
+  }
+
+  update(speed) {
+    super.update(speed);
+    this.gap = this.gapAt(this.age);
+  }
+}
+
+/* The upper column's end breaks off as the pillar nears the bird, dropping debris through the gap
+   (which is left that much taller). Debris shatters on the lower column. */
+const CRUMBLE_TRIGGER_X = BIRD_X + 160; // pillar x at which it breaks
+const CRUMBLE_DEPTH = 60;               // px of column that breaks away
+const DEBRIS_GRAVITY = 0.25;
+
+class CrumblingPillar extends Pillar {
+  constructor(x, gapY, decorSeed, gap) {
+    super(x, gapY, decorSeed, gap);
+    this.kind = 'crumbling';
+    this.crumbled = 0; // px broken off the upper column
+    this.debris = [];  // { dx, y, prevY, w, h, vy }; dx is relative to the pillar's x
+  }
+
+  get gapTop() { return super.gapTop - this.crumbled; }
+
+  update(speed) {
+    super.update(speed);
+    for (let d of this.debris) {
+      d.prevY = d.y;
+      d.vy += DEBRIS_GRAVITY;
+      d.y += d.vy;
+    }
+    this.debris = this.debris.filter(d => d.y + d.h < this.gapBottom);
+    if (!this.crumbled && this.x < CRUMBLE_TRIGGER_X) {
+      this.crumble();
+      return 'crumble';
+    }
+  }
+
+  crumble() {
+    const top = this.gapTop;
+    this.crumbled = Math.min(CRUMBLE_DEPTH, Math.max(0, top - OBSTACLE_MIN_STUB));
+    if (!this.crumbled) return;
+    // chunks come from the pillar's own seed, so the course's random stream is untouched
+    const rng = createRng(this.decorSeed ^ 0xC0FFEE);
+    let dx = 0;
+    while (dx < this.width - 10) {
+      const w = Math.min(this.width - dx, 22 + Math.floor(rng() * 18));
+      const h = Math.min(this.crumbled, 16 + Math.floor(rng() * 20));
+      const y = top - this.crumbled + Math.floor(rng() * (this.crumbled - h + 1));
+      this.debris.push({ dx, y, prevY: y, w, h, vy: rng() * 1.5 });
+      dx += w;
+    }
+  }
+
+  getRects() {
+    return super.getRects().concat(this.debris.map(d => ({ x: this.x + d.dx, y: d.y, w: d.w, h: d.h })));
+  }
+}
+
+/* A gust blowing up or down through the approach to the gap and the gap itself */
+const WIND_FORCE = 0.22;  // px/tick² added to the bird's vertical speed
+const WIND_REACH = 220;   // px in front of the pillar where the wind is felt
+
+class WindZone extends Pillar {
+  constructor(x, gapY, decorSeed, gap, rng) {
+    super(x, gapY, decorSeed, gap);
+    this.kind = 'wind';
+    this.direction = rng() < 0.5 ? -1 : 1; // -1 blows up
+  }
+
+  force(bird) {
+    const inside = bird.x + bird.radius > this.x - WIND_REACH && bird.x - bird.radius < this.x + this.width;
+    return inside ? this.direction * WIND_FORCE : 0;
+  }
+}
+
+/* Obstacle kinds by name, as used in DIFFICULTY_PRESETS[...].obstacles */
+const OBSTACLE_TYPES = {
+  static: Pillar,
+  oscillating: OscillatingPillar,
+  closing: ClosingPillar,
+  crumbling: CrumblingPillar,
+  wind: WindZone
+};
+const OBSTACLE_WARMUP = 3; // the first pillars of a run are always static
+
+/* -------------------------
+   Pickup class: a coin or power-up (kind is 'coin' or a POWERUPS key)
+   ------------------------- */
+class Pickup {
+  constructor(x, y, kind, anchor = null) {
+    this.x = x;
+    this.y = y;
+    this.prevX = x;
+    this.prevY = y;
+    this.kind = kind;
+    this.radius = PICKUP_RADIUS;
+    this.taken = false;
+    this.anchor = anchor; // obstacle whose (possibly moving) gap it floats in
+  }
+
+  // advance one fixed tick (after the anchor has)
+  update(speed = PILLAR_SPEED) {
+    this.prevX = this.x;
+    this.prevY = this.y;
+    this.x -= speed;
+    if (this.anchor) this.y = this.anchor.gapY;
+  }
+
+  // move up to `step` px towards a point (magnet); once pulled it no longer follows its gap
+  pullTowards(x, y, step) {
+    this.anchor = null;
+    const dx = x - this.x;
+    const dy = y - this.y;
+    const d = Math.hypot(dx, dy);
+    if (d <= step) {
+      this.x = x;
+      this.y = y;
+    } else {
+      this.x += dx / d * step;
+      this.y += dy / d * step;
+    }
+  }
+}
+
+/* -------------------------
+   Simulation
+   ------------------------- */
+class Simulation {
+  constructor({ auto = false, seed = null, difficulty = DEFAULT_DIFFICULTY, ghost = null, players = 1, course = null, hitbox = 'exact', assist = false, settings = {} } = {}) {
+    // a ghost replay only makes sense on its own course, so it dictates seed and difficulty
+    this.seed = ghost ? ghost.seed : (seed == null ? randomSeed() : seed >>> 0);
+    if (ghost) difficulty = ghost.difficulty;
+    if (course) difficulty = course.difficulty;
+    this.difficulty = DIFFICULTY_PRESETS[difficulty] ? difficulty : DEFAULT_DIFFICULTY;
+    this.auto = auto; // if true, the autopilot flies player one (used for menu background)
+    this.assist = assist; // the autopilot corrects player one's fatal flaps (and missing ones)
+    this.ghostReplay = ghost; // replay flown alongside the player by a ghost that can't touch this world
+    this.players = Math.max(1, Math.min(MAX_PLAYERS, players));
+    this.course = course; // hand-made obstacles to fly instead of random ones (see Courses)
+    this.settings = settings; // bird look; color2, skin2 and body2 are the second player's
+    this.hitbox = hasKey(HITBOX_INSETS, hitbox) ? hitbox : 'exact'; // HITBOX_INSETS key
+    this.hitInset = HITBOX_INSETS[this.hitbox];
+    this.tuning = {};         // physics overrides (see tune), kept across resets
+    this.invincible = false;  // hits are shrugged off like a shield's grace period
+    this.listeners = {};
+    this.reset();
+  }
+
+  // back to tick 0 of the same course, or of the one another seed gives; listeners are kept
+  reset(seed = this.seed) {
+    this.seed = seed >>> 0;
+    this.rng = createRng(this.seed);
+    // pickups and obstacle kinds draw from their own streams, so a seed's gaps stay where they are
+    this.pickupRng = createRng(this.seed ^ 0x9E3779B9);
+    this.obstacleRng = createRng(this.seed ^ 0x85EBCA6B);
+    this.spawned = 0; // obstacles created so far
+    this.birds = [];
+    for (let i = 0; i < this.players; i++) this.birds.push(this.createBird(i));
+    this.pillars = [];
+    this.pickups = [];
+    this.score = 0; // best score among the birds; drives the progression curve
+    this.setupCourse();
+    this.params = this.currentParams(); // current gravity/gap/spacing/speed
+    this.distance = 0; // world pixels scrolled so far
+    this.prevDistance = 0;
+    this.running = false;
+    this.gameOver = false; // bird has hit something
+    this.cleared = false;  // crossed a course's finish line
+    this.over = false;     // 'gameover' or 'cleared' has been emitted, nothing left to simulate
+    this.gameOverTimer = 0;
+    this.tick = 0;
+    this.tuned = this.invincible || Object.keys(this.tuning).length > 0; // can't be replayed
+    this.inputLog = []; // tick of every accepted flap, for replays
+    this.assists = 0;   // flaps the assist added or held back
+    this.autopilot = new Autopilot(this);
+    this.ghost = this.ghostReplay ? this.createGhost() : null;
+    this.spawnInitial();
+  }
+
+  // the ghost is a full replay of the recorded run on its own copy of the course,
+  // so everything it collected or survived plays out exactly as it did
+  createGhost() {
+    const player = new ReplayPlayer(this.ghostReplay, this.settings);
+    const ghost = { player, bird: player.sim.bird, score: 0 };
+    player.sim
+      .on('score', (e) => {
+        ghost.score = e.score;
+        this.emit('ghostscore', { score: e.score });
+      })
+      .on('hit', (e) => this.emit('ghosthit', { score: e.score }));
+    return ghost;
+  }
+
+  // where a course's obstacles and finish line stand in the world (their x at the start of a run)
+  setupCourse() {
+    this.courseXs = [];
+    this.courseIndex = 0; // next course obstacle to spawn
+    this.finishX = null;
+    if (!this.course) return;
+    let x = BIRD_X;
+    for (let o of this.course.obstacles) this.courseXs.push(x += o.dx);
+    if (this.course.finish) this.finishX = x + PILLAR_WIDTH + COURSE_FINISH_DX;
+    this.courseSpeed = this.course.speed || courseParams(this.difficulty, 0).speed;
+  }
+
+  // random runs follow the progression curve; courses keep the preset and set their own speed (unless tuned).
+  // score / courseSpeed give them as they will be later on (see Autopilot.extend)
+  currentParams(score = this.score, courseSpeed = this.courseSpeed) {
+    if (!this.course) return courseParams(this.difficulty, score, this.tuning);
+    return { ...courseParams(this.difficulty, 0, this.tuning), speed: this.tuning.speed || courseSpeed };
+  }
+
+  // override preset fields (gravity, gap, spacing, speed) and flap / maxDrop from now on; {} goes back to
+  // the preset. Pillars already on screen keep their gap.
+  tune(tuning) {
+    this.tuning = { ...tuning };
+    this.params = this.currentParams();
+    if (Object.keys(this.tuning).length) this.tuned = true;
+  }
+
+  setInvincible(on) {
+    this.invincible = on;
+    if (on) this.tuned = true;
+  }
+
+  // the bird for a player; in versus they start one above the other
+  createBird(index) {
+    const offset = this.players > 1 ? (index - (this.players - 1) / 2) * VERSUS_SPACING : 0;
+    const look = index === 0 ? this.settings : { ...this.settings, color: this.settings.color2, skin: this.settings.skin2, body: this.settings.body2 };
+    return new Bird(BIRD_X, BASE_HEIGHT/2 + offset, look);
+  }
+
+  // player one; single-player code (and replays) only ever look at this bird
+  get bird() { return this.birds[0]; }
+
+  // player one's power-ups and coins collected this run (see Bird)
+  get powerups() { return this.bird.powerups; }
+  get graceTicks() { return this.bird.graceTicks; }
+  get coins() { return this.birds.reduce((sum, b) => sum + b.coins, 0); }
+
+  // how fast the game should run relative to real time (slow-motion power-up, whoever has it)
+  get pace() {
+    return this.birds.some(b => b.powerups.slowmo > 0) ? SLOWMO_PACE : 1;
+  }
+
+  // index of the winning bird: most points, then the last one still flying; -1 for a draw
+  winner() {
+    const ranked = this.birds.map((b, i) => ({ i, score: b.score, lasted: b.hitTick == null ? Infinity : b.hitTick }))
+      .sort((a, b) => b.score - a.score || b.lasted - a.lasted);
+    const [first, second] = ranked;
+    if (second && first.score === second.score && first.lasted === second.lasted) return -1;
+    return first.i;
+  }
+
+  on(type, fn) {
+    (this.listeners[type] || (this.listeners[type] = [])).push(fn);
+    return this;
+  }
+
+  emit(type, data = {}) {
+    const list = this.listeners[type];
+    if (list) for (let fn of list) fn(data);
+  }
+
+  spawnInitial() {
+    // create a few pillars ahead
+    this.pillars = [];
+    this.pickups = [];
+    if (this.course) {
+      this.spawnCourse();
+      return;
+    }
+    let x = 700;
+    for (let i = 0; i < 4; i++) {
+      this.spawnPillar(x);
+      x += this.params.spacing;
+    }
+  }
+
+  spawnPillar(x = null) {
+    if (x == null) x = (this.pillars.length ? this.pillars[this.pillars.length - 1].x : BASE_WIDTH) + this.params.spacing;
+    const pillar = this.createPillar(x);
+    this.pillars.push(pillar);
+    const kind = this.rollPickup();
+    if (kind) this.pickups.push(new Pickup(pillar.x + pillar.width/2, pillar.gapY, kind, pillar));
+  }
+
+  // course obstacles appear as they come within reach of the right edge, at their exact world position
+  spawnCourse() {
+    const obstacles = this.course.obstacles;
+    while (this.courseIndex < obstacles.length) {
+      const x = this.courseXs[this.courseIndex] - this.distance;
+      if (x > BASE_WIDTH + PILLAR_WIDTH) break;
+      const o = obstacles[this.courseIndex++];
+      const pillar = new OBSTACLE_TYPES[o.type](x, o.gapY, randomSeed(this.rng), o.gap, this.obstacleRng);
+      pillar.speedChange = o.speed;
+      this.pillars.push(pillar);
+      if (o.pickup) this.pickups.push(new Pickup(pillar.x + pillar.width/2, pillar.gapY, o.pickup, pillar));
+    }
+  }
+
+  // what, if anything, floats in the next gap
+  rollPickup() {
+    const r = this.pickupRng();
+    if (r < POWERUP_CHANCE) {
+      const kinds = Object.keys(POWERUPS);
+      return kinds[Math.floor(this.pickupRng() * kinds.length)];
+    }
+    return r < POWERUP_CHANCE + COIN_CHANCE ? 'coin' : null;
+  }
+
+  // gap size and how far its centre may wander both come from the progression curve
+  createPillar(x) {
+    const { gap, variation } = this.params;
+    const room = (BASE_HEIGHT - gap) / 2 - PILLAR_MIN_HEIGHT;
+    const offset = Math.floor(room * variation);
+    const gapY = randRange(BASE_HEIGHT/2 - offset, BASE_HEIGHT/2 + offset, this.rng);
+    const Type = OBSTACLE_TYPES[this.rollObstacle()];
+    return new Type(x, gapY, randomSeed(this.rng), gap, this.obstacleRng);
+  }
+
+  // which obstacle kind comes next, weighted by the difficulty's mix
+  rollObstacle() {
+    if (this.spawned++ < OBSTACLE_WARMUP) return 'static';
+    let r = this.obstacleRng();
+    const mix = this.params.obstacles;
+    for (let kind of Object.keys(mix)) {
+      if (r < mix[kind]) return kind;
+      r -= mix[kind];
+    }
+    return 'static';
+  }
+
+  start() {
+    this.running = true;
+    this.gameOver = false;
+    this.over = false;
+    for (let bird of this.birds) {
+      bird.alive = true;
+      bird.vy = 0;
+    }
+    this.score = 0;
+    this.params = this.currentParams();
+  }
+
+  stop() {
+    this.running = false;
+  }
+
+  // player: which bird flaps (0 = player one, the only one replays record)
+  flap(player = 0) {
+    if (!this.running) return;
+    const bird = this.birds[player];
+    if (player === 0 && this.assist && bird.alive && this.autopilot.mustNotFlap()) {
+      this.assists++;
+      return;
+    }
+    if (bird && bird.alive) {
+      bird.flap(this.params.flap);
+      if (player === 0) this.inputLog.push(this.tick);
+      this.emit('flap', { bird, player });
+    }
+  }
+
+  // advance the world by exactly one fixed tick (TICK_MS)
+  step() {
+    if (this.over || (!this.running && !this.gameOver)) return;
+    this.steer();
+    this.tick++;
+    // the ghost keeps pace with the player until the player is hit
+    if (this.ghost && !this.gameOver) this.ghost.player.step();
+
+    // after the last hit only the birds keep moving (bounce-back) until game over is reported
+    if (this.gameOver) {
+      this.prevDistance = this.distance;
+      for (let bird of this.birds) bird.update(this.params.gravity, this.params.maxDrop);
+      this.gameOverTimer -= TICK_MS;
+      if (this.gameOverTimer <= 0) {
+        this.over = true;
+        this.emit('gameover', { score: this.score, ticks: this.tick, seed: this.seed });
+      }
+      return;
+    }
+
+    // spawn by distance so cadence always matches scroll speed; random pillars carry on after a course
+    // unless it has a finish line
+    const last = this.pillars[this.pillars.length - 1];
+    if (this.course && this.courseIndex < this.course.obstacles.length) {
+      this.spawnCourse();
+    } else if (this.finishX == null && (!last || last.x < BASE_WIDTH + this.params.spacing)) {
+      this.spawnPillar();
+    }
+
+    this.updatePowerups();
+
+    // update birds, pushed by anything blowing on them
+    for (let bird of this.birds) {
+      for (let p of this.pillars) bird.vy += p.force(bird);
+      bird.update(this.params.gravity, this.params.maxDrop);
+    }
+
+    // update pillars
+    for (let p of this.pillars) {
+      const event = p.update(this.params.speed);
+      if (event) this.emit(event, { pillar: p });
+    }
+    this.prevDistance = this.distance;
+    this.distance += this.params.speed;
+
+    // remove off-screen pillars
+    this.pillars = this.pillars.filter(p => p.x + p.width > -50);
+
+    this.updatePickups();
+
+    // scoring: when a pillar passes the birds, everyone still flying gets the point
+    for (let p of this.pillars) {
+      if (!p.passed && p.x + p.width < BIRD_X) {
+        p.passed = true;
+        if (p.speedChange) this.courseSpeed = p.speedChange;
+        for (let bird of this.birds) {
+          if (!bird.alive) continue;
+          bird.score = Math.min(SCORE_MAX, bird.score + 1);
+          this.score = Math.max(this.score, bird.score);
+          this.emit('score', { score: bird.score, pillar: p, bird, player: this.birds.indexOf(bird) });
+        }
+        this.params = this.currentParams();
+      }
+    }
+
+    for (let bird of this.birds) {
+      if (bird.alive) this.checkCollisions(bird);
+    }
+
+    // a finite course ends as the bird crosses the finish line
+    if (this.finishX != null && !this.gameOver && this.finishX - this.distance <= BIRD_X) {
+      this.cleared = true;
+      this.running = false;
+      this.over = true;
+      this.emit('cleared', { score: this.score, ticks: this.tick, coins: this.coins });
+    }
+  }
+
+  // the autopilot's flaps come before the tick, where a player's would; they are logged like a player's,
+  // so an assisted run replays as it was flown
+  steer() {
+    if (!this.running || !this.bird.alive) return;
+    if (this.auto) {
+      if (this.autopilot.shouldFlap()) this.flap();
+    } else if (this.assist && this.autopilot.mustFlap()) {
+      this.assists++;
+      this.flap();
+    }
+  }
+
+  // pillars, then floor/ceiling (pillars are skipped just after a shield broke)
+  checkCollisions(bird) {
+    if (bird.graceTicks > 0) bird.graceTicks--;
+    else for (let p of this.pillars) {
+      if (this.sweepHits(bird, p)) this.onHit(bird, p);
+      if (!bird.alive) return;
+    }
+    const reach = bird.getHitbox(this.hitInset).reach;
+    if (bird.y - reach < 0 || bird.y + reach > BASE_HEIGHT) {
+      this.onHit(bird, null, true);
+    }
+  }
+
+  // the hitbox at points along the tick's movement relative to the pillar, tested against where the pillar is now
+  sweepHits(bird, pillar) {
+    const moved = pillar.x - pillar.prevX;
+    const dx = bird.x - bird.prevX - moved;
+    const dy = bird.y - bird.prevY;
+    const far = bird.radius * Math.SQRT2 + Math.abs(dx);
+    if (bird.x + far < pillar.x || bird.x - far > pillar.x + pillar.width) return false;
+    const rects = pillar.getRects();
+    const steps = Math.max(1, Math.ceil(Math.hypot(dx, dy) / SWEEP_STEP));
+    for (let i = 1; i <= steps; i++) {
+      const t = i / steps;
+      const box = bird.getHitbox(this.hitInset, t);
+      box.x += moved * (1 - t);
+      if (rects.some(r => hitboxRectCollision(box, r))) return true;
+    }
+    return false;
+  }
+
+  // count down power-up timers and apply the ones that change the bird
+  updatePowerups() {
+    this.birds.forEach((bird, player) => {
+      const timers = bird.powerups;
+      for (let kind of Object.keys(timers)) {
+        if (timers[kind] > 0 && --timers[kind] === 0) this.emit('powerupend', { kind, bird, player });
+      }
+      bird.radius = timers.shrink > 0 ? BIRD_RADIUS * SHRINK_SCALE : BIRD_RADIUS;
+    });
+  }
+
+  // a pickup goes to the first bird (in player order) to touch it
+  updatePickups() {
+    for (let p of this.pickups) {
+      p.update(this.params.speed);
+      for (let bird of this.birds) {
+        if (!bird.alive || p.taken) continue;
+        if (p.kind === 'coin' && bird.powerups.magnet > 0 && Math.hypot(p.x - bird.x, p.y - bird.y) < MAGNET_RANGE) {
+          p.pullTowards(bird.x, bird.y, MAGNET_PULL);
+        }
+        if (Math.hypot(p.x - bird.x, p.y - bird.y) < p.radius + bird.radius) this.collect(p, bird);
+      }
+    }
+    this.pickups = this.pickups.filter(p => !p.taken && p.x + p.radius > -50);
+  }
+
+  collect(pickup, bird = this.bird) {
+    pickup.taken = true;
+    const player = this.birds.indexOf(bird);
+    if (pickup.kind === 'coin') {
+      bird.coins++;
+      this.emit('coin', { coins: this.coins, pickup, bird, player });
+    } else {
+      bird.powerups[pickup.kind] = POWERUPS[pickup.kind].ticks;
+      this.emit('powerup', { kind: pickup.kind, pickup, bird, player });
+    }
+  }
+
+  // the round ends once every bird is down
+  onHit(bird, pillar = null, fell = false) {
+    if (this.absorbHit(bird, fell)) return;
+    // bounce-back effect: push bird away (to the left, against the scroll) and upward
+    bird.alive = false;
+    bird.hitTick = this.tick;
+    bird.vx = -(fell ? KNOCKBACK_FALL_SPEED : KNOCKBACK_SPEED);
+    bird.vy = -8;
+    bird.bounceTimer = 300;
+    if (this.birds.every(b => !b.alive)) {
+      this.gameOver = true;
+      this.running = false;
+      this.gameOverTimer = GAME_OVER_DELAY_MS;
+    }
+    this.emit('hit', { pillar, fell, score: bird.score, bird, player: this.birds.indexOf(bird) });
+  }
+
+  // a shield soaks up one hit and the bird flies on; true if the hit was absorbed
+  absorbHit(bird, fell) {
+    const player = this.birds.indexOf(bird);
+    if (bird.powerups.shield > 0) {
+      bird.powerups.shield = 0;
+      bird.graceTicks = SHIELD_GRACE_TICKS;
+      this.emit('shield', { bird, player });
+      this.emit('powerupend', { kind: 'shield', bird, player });
+    } else if (bird.graceTicks === 0 && !this.invincible) {
+      return false;
+    }
+    // floor and ceiling hits bounce the bird back onto the screen
+    if (fell) {
+      const reach = bird.getHitbox(this.hitInset).reach;
+      if (bird.y < BASE_HEIGHT/2) {
+        bird.y = reach;
+        bird.vy = Math.max(0, bird.vy);
+      } else {
+        bird.y = BASE_HEIGHT - reach;
+        bird.vy = this.params.flap;
+      }
+    }
+    return true;
+  }
+}
+
+/* -------------------------
+   Autopilot: plans flaps by simulating what flapping or not would lead to
+   ------------------------- */
+/* Flies the menu demo and the assist (see Simulation.steer). It keeps a forecast of where the obstacles near
+   the bird will be over the next AUTOPILOT_HORIZON ticks, moved on by one tick per tick, and searches the
+   flap / no-flap choices for a way to reach the end of that window without touching anything. Among safe
+   choices it heads for the next gap (see aimFor). Pickups and power-ups other than shrink are left out of
+   the forecast. */
+const AUTOPILOT_HORIZON = 200;    // ticks looked ahead (enough to see a wind zone through)
+const AUTOPILOT_MARGINS = [4, 0]; // px added to the hitbox while planning, for what the forecast gets wrong;
+                                  // the later ones are tried when no way is found with the first
+const AUTOPILOT_LEAD = 10;        // px below its aim the bird falls before it prefers to flap
+const AUTOPILOT_WIND_AIM = 0.25;  // fraction of a windy gap's height it aims off the centre, against the gust
+const AUTOPILOT_MIN_FLAP_VY = -3; // px/tick: planned flaps wait until a climb has slowed to this
+const AUTOPILOT_NEAR = BIRD_RADIUS * 2 + AUTOPILOT_MARGINS[0]; // px either side of the bird obstacles are checked within
+const AUTOPILOT_HEIGHT_STEPS = 4; // with a margin, dead ends are remembered per 1/4 px of height
+const AUTOPILOT_BUDGET = 5000;    // ticks simulated per search before giving up on finding a way
+const AUTOPILOT_TICK_BUDGET = 8000; // and by all the searches with one margin for one decision
+
+class Autopilot {
+  constructor(sim, player = 0) {
+    this.sim = sim;
+    this.player = player;
+    this.forecastTick = null; // sim.tick the forecast is for
+    this.pathTick = null;     // and the path
+    this.ticks = [];          // the forecast: one entry per tick ahead
+    this.ahead = [];          // copies of the obstacles near the bird, as they will be after the last of those ticks
+    this.copied = new WeakSet(); // the sim's obstacles that have a copy in ahead
+    this.plan = null;         // sim ticks of the flaps on the last way found
+    this.doomed = {};         // margin -> sim tick -> heights a flap at that tick can't last the window from
+    this.scratch = new Bird(BIRD_X, 0); // the bird in the search
+  }
+
+  get bird() { return this.sim.birds[this.player]; }
+
+  // flap before the next tick? The preferred choice if a way on is found from it, else the last way found
+  // (still good but for its far end, so quick to finish when a fresh search runs out of budget), else the
+  // other choice; then the same with less margin. With a crash coming either way, whichever puts it off longer
+  shouldFlap() {
+    this.forecast();
+    const bird = this.bird;
+    const first = this.prefersFlap(0, bird.y, bird.vy);
+    const tries = [{ flap: first }, { flap: !first }];
+    if (this.plan) tries.splice(1, 0, { flap: this.plan.has(this.sim.tick), byPlan: true });
+    const searches = AUTOPILOT_MARGINS.flatMap(margin => tries.map(o => ({ ...o, margin })));
+    const budget = {}; // per margin, so searches that can't finish with one still leave the next its share
+    for (let margin of AUTOPILOT_MARGINS) budget[margin] = AUTOPILOT_TICK_BUDGET;
+    let best = first;
+    let furthest = -1;
+    for (let i = 0; i < searches.length; i++) {
+      const { flap, margin, byPlan } = searches[i];
+      const share = Math.min(AUTOPILOT_BUDGET, budget[margin]);
+      if (this.survives(flap, { margin, byPlan, budget: share })) return flap;
+      budget[margin] -= share - Math.max(0, this.budget);
+      if (this.reached > furthest) {
+        furthest = this.reached;
+        best = flap;
+      }
+    }
+    return best;
+  }
+
+  // only not flapping leads to a crash
+  mustFlap() {
+    return !this.survives(false) && this.survives(true);
+  }
+
+  // only flapping leads to a crash
+  mustNotFlap() {
+    return !this.survives(true) && this.survives(false);
+  }
+
+  // where the bird would fly over the coming ticks, as [{ t, y }] from now (empty if every way crashes);
+  // t is in ticks, so a point is drawn speed * t ahead of the bird as the world scrolls towards it
+  path() {
+    if (this.pathTick === this.sim.tick) return this.lastPath;
+    this.forecast();
+    this.pathTick = this.sim.tick;
+    const bird = this.bird;
+    const first = this.prefersFlap(0, bird.y, bird.vy);
+    const found = this.survives(first, { record: true }) || this.survives(!first, { record: true });
+    this.lastPath = found ? this.route.map((y, t) => ({ t, y })).filter(p => p.y != null) : [];
+    return this.lastPath;
+  }
+
+  // is there a way to last the window, flapping now or not? margin: px added to the hitbox; byPlan: try the
+  // flaps of the last way found first; budget: ticks it may simulate; record: keep the heights along the way
+  // in route
+  survives(flap, { margin = AUTOPILOT_MARGINS[0], byPlan = false, budget = AUTOPILOT_BUDGET, record = false } = {}) {
+    this.forecast();
+    const bird = this.bird;
+    this.budget = budget;
+    this.exhausted = false; // ran out of budget: neither found a way nor ruled one out
+    this.margin = margin;
+    this.byPlan = byPlan && !!this.plan;
+    this.reached = 0; // furthest tick a search got to without crashing
+    this.route = record ? [bird.y] : null;
+    this.flaps = []; // forecast ticks of the flaps on the way found
+    if (!this.live(0, bird, flap)) return false;
+    this.plan = new Set(this.flaps.map(t => this.forecastTick + t));
+    return true;
+  }
+
+  // can the bird as from ({ y, vy, rotation }) after t forecast ticks, flapping now or not, last the window?
+  // It coasts until it would crash, then tries flapping at each tick on the way there. After a flap the way
+  // on only depends on the tick, the height and how the bird was turned, so those are remembered when they
+  // lead nowhere, for this search and later ones (a window that has moved on is only harder to last). With
+  // a margin, heights a fraction of a px apart count as one: a way on from one of them clears everything by
+  // at most that fraction more than the other's does, well inside the margin. Without, only the same state counts.
+  live(t, from, flap) {
+    const state = this.margin ? Math.round(from.y * AUTOPILOT_HEIGHT_STEPS) : `${from.y} ${from.rotation}`;
+    const doomed = flap && this.doomedAt(this.forecastTick + t);
+    if (flap && doomed.has(state)) return false;
+    const b = this.scratch;
+    const { gravity, maxDrop, flap: strength } = this.sim.params;
+    b.y = from.y;
+    b.vy = flap ? strength : from.vy;
+    b.rotation = from.rotation;
+    const trail = []; // bird after each tick of coasting: trail[i] is tick t + 1 + i
+    let end = t;
+    while (end < this.ticks.length) {
+      if (--this.budget < 0) {
+        this.exhausted = true;
+        return false;
+      }
+      const tick = this.ticks[end];
+      b.radius = tick.radius;
+      b.vy += tick.force;
+      b.update(gravity, maxDrop);
+      if (this.collides(b, tick)) break;
+      trail.push({ y: b.y, vy: b.vy, rotation: b.rotation });
+      end++;
+    }
+    this.reached = Math.max(this.reached, end);
+    const keep = (upTo) => {
+      if (this.route) for (let i = t + 1; i <= upTo; i++) this.route[i] = trail[i - t - 1].y;
+    };
+    if (end === this.ticks.length) {
+      keep(end);
+      if (flap) this.flaps.push(t);
+      return true;
+    }
+    // flap ticks to try: where it would rather flap first, then from the last moment backwards. It only flaps
+    // near the top of a climb, falling, or straight away (a run of those holds a steep climb)
+    const ticks = [];
+    for (let k = end; k > t; k--) {
+      if (k === t + 1 || trail[k - t - 1].vy > AUTOPILOT_MIN_FLAP_VY) ticks.push(k);
+    }
+    const preferred = ticks.slice().reverse().find(this.byPlan ?
+      k => this.plan.has(this.forecastTick + k) :
+      k => this.prefersFlap(k, trail[k - t - 1].y, trail[k - t - 1].vy));
+    if (preferred != null) ticks.unshift(...ticks.splice(ticks.indexOf(preferred), 1));
+    for (let k of ticks) {
+      if (this.live(k, trail[k - t - 1], true)) {
+        keep(k);
+        if (flap) this.flaps.push(t);
+        return true;
+      }
+      if (this.exhausted) return false;
+    }
+    if (flap) doomed.add(state);
+    return false;
+  }
+
+  // below the height it aims for, and falling or climbing too slowly to get there
+  prefersFlap(t, y, vy) {
+    const tick = this.ticks[t];
+    const target = tick ? tick.target : BASE_HEIGHT / 2;
+    const pull = this.sim.params.gravity + (tick ? tick.force : 0);
+    const top = vy < 0 && pull > 0 ? y - vy * vy / (2 * pull) : y; // where the climb tops out
+    return top > target + AUTOPILOT_LEAD;
+  }
+
+  // the sim's test (see Simulation.sweepHits): the hitbox at points along the tick's movement, against
+  // rects that have moved the scroll speed past it
+  collides(b, tick) {
+    const inset = this.sim.hitInset - this.margin;
+    const box = b.getHitbox(inset);
+    if (b.y - box.reach < 0 || b.y + box.reach > BASE_HEIGHT) return true;
+    // only rects level with some part of the tick's movement can be hit
+    const reach = b.radius * Math.SQRT2;
+    const rects = tick.rects.filter(r => r.y < Math.max(b.y, b.prevY) + reach && r.y + r.h > Math.min(b.y, b.prevY) - reach);
+    if (!rects.length) return false;
+    const steps = Math.max(1, Math.ceil(Math.hypot(tick.speed, b.y - b.prevY) / SWEEP_STEP));
+    for (let i = 1; i <= steps; i++) {
+      const at = b.getHitbox(inset, i / steps);
+      at.x -= tick.speed * (1 - i / steps);
+      if (rects.some(r => hitboxRectCollision(at, r))) return true;
+    }
+    return false;
+  }
+
+  doomedAt(tick) {
+    const doomed = this.doomed[this.margin];
+    if (!doomed.has(tick)) doomed.set(tick, new Set());
+    return doomed.get(tick);
+  }
+
+  // per tick ahead: the scroll speed, the bird's size, the rects near it, the wind on it before the tick and
+  // the gap centre to aim for. Each sim tick drops the tick just flown and adds one at the far end; a scroll
+  // speed other than the one forecast, other physics, a shrink picked up (or a tick skipped) start it again
+  // from the sim's obstacles
+  forecast() {
+    const sim = this.sim;
+    if (this.forecastTick === sim.tick) return;
+    const bird = this.bird;
+    const { speed, gravity, flap, maxDrop } = sim.params;
+    const shrinkEnd = bird.powerups.shrink ? sim.tick + bird.powerups.shrink : 0;
+    const rules = `${gravity}|${flap}|${maxDrop}|${shrinkEnd}`;
+    const goesOn = this.forecastTick === sim.tick - 1 && rules === this.rules &&
+      this.ticks.length > 1 && this.ticks[1].speed === speed;
+    if (goesOn) {
+      this.ticks.shift();
+    } else {
+      this.ticks = [];
+      this.ahead = [];
+      this.copied = new WeakSet();
+      // as things will be at the far end of the forecast
+      this.speed = speed;
+      this.score = sim.score;
+      this.courseSpeed = sim.courseSpeed;
+    }
+    this.forecastTick = sim.tick;
+    this.rules = rules;
+    this.shrinkEnd = shrinkEnd;
+    Object.assign(this.scratch, { x: bird.x, body: bird.body, vx: 0 });
+    // obstacles join as they appear, played through the ticks already forecast (one that appears close by
+    // can already be in the way, or blowing, within them)
+    let changed = false;
+    for (let p of sim.pillars) {
+      if (this.copied.has(p)) continue;
+      this.copied.add(p);
+      const copy = Object.assign(Object.create(Object.getPrototypeOf(p)), p, p.debris ? { debris: p.debris.map(d => ({ ...d })) } : {});
+      for (let tick of this.ticks) changed = this.pass(copy, tick) || changed;
+      this.ahead.push(copy);
+    }
+    // sim tick -> heights a flap at that tick can't last the window from; kept while the forecast for the
+    // ticks still ahead stays as it was
+    for (let margin of AUTOPILOT_MARGINS) {
+      if (goesOn && !changed) this.doomed[margin].delete(sim.tick - 1);
+      else this.doomed[margin] = new Map();
+    }
+    while (this.ticks.length < AUTOPILOT_HORIZON) this.ticks.push(this.extend());
+  }
+
+  // the next tick of the forecast; obstacles the bird gets past score, which can speed the next ones up
+  extend() {
+    const bird = this.scratch;
+    const shrunk = this.shrinkEnd > this.forecastTick + this.ticks.length + 1;
+    const tick = { speed: this.speed, radius: shrunk ? BIRD_RADIUS * SHRINK_SCALE : BIRD_RADIUS, rects: [], force: 0 };
+    for (let p of this.ahead) this.pass(p, tick);
+    for (let p of this.ahead) {
+      if (p.passed || p.x + p.width >= BIRD_X) continue;
+      p.passed = true;
+      if (p.speedChange) this.courseSpeed = p.speedChange;
+      this.score = Math.min(SCORE_MAX, this.score + 1);
+      this.speed = this.sim.currentParams(this.score, this.courseSpeed).speed;
+    }
+    this.ahead = this.ahead.filter(p => p.x + p.width > bird.x - AUTOPILOT_NEAR);
+    const next = this.ahead.find(p => p.x + p.width > bird.x - BIRD_RADIUS);
+    tick.target = next ? aimFor(next) : BASE_HEIGHT / 2;
+    return tick;
+  }
+
+  // an obstacle's copy through one tick of the forecast: its push on the bird before the tick, and its rects
+  // after if they are near; true if it had either
+  pass(p, tick) {
+    const bird = this.scratch;
+    bird.radius = tick.radius;
+    const force = p.force(bird);
+    tick.force += force;
+    p.update(tick.speed);
+    if (p.x >= bird.x + AUTOPILOT_NEAR || p.x + p.width <= bird.x - AUTOPILOT_NEAR) return force !== 0;
+    tick.rects.push(...p.getRects());
+    return true;
+  }
+}
+
+/* the height to cross an obstacle at: the gap's centre, or off it on the side a gust blows from, so the gust
+   has room to carry the bird */
+function aimFor(pillar) {
+  const centre = (pillar.gapTop + pillar.gapBottom) / 2;
+  return pillar.direction ? centre - pillar.direction * (pillar.gapBottom - pillar.gapTop) * AUTOPILOT_WIND_AIM : centre;
+}
+
+/* -------------------------
+   Replays
+   ------------------------- */
+/* A replay is { seed, difficulty, hitbox, body, physics, ticks, score, flaps } where flaps holds absolute tick
+   numbers and hitbox / body are the HITBOX_INSETS and BIRD_CORNERS keys player one flew with.
+   Feeding those flaps back into a Simulation with the same seed and hitbox reproduces the run exactly. */
+const REPLAY_FORMAT = 1;
+
+function createReplay(sim) {
+  return {
+    seed: sim.seed, difficulty: sim.difficulty, hitbox: sim.hitbox, body: sim.bird.body, physics: PHYSICS_VERSION,
+    ticks: sim.tick, score: sim.score, flaps: sim.inputLog.slice()
+  };
+}
+
+/* Compact JSON for sharing: flap ticks are stored as deltas from the previous flap */
+function encodeReplay(replay) {
+  let prev = 0;
+  const flaps = replay.flaps.map(t => { const d = t - prev; prev = t; return d; });
+  return JSON.stringify({
+    v: REPLAY_FORMAT, physics: replay.physics, seed: replay.seed, difficulty: replay.difficulty,
+    hitbox: replay.hitbox, body: replay.body, ticks: replay.ticks, score: replay.score, flaps
+  });
+}
+
+/* Parse and validate shared replay JSON; throws an Error describing what is wrong */
+function decodeReplay(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    throw new Error('Replay is not valid JSON');
+  }
+  if (!data || typeof data !== 'object' || data.v !== REPLAY_FORMAT) throw new Error('Unsupported replay format');
+  if (data.physics !== PHYSICS_VERSION) {
+    throw new Error(`Replay was recorded with physics v${data.physics}, this game runs v${PHYSICS_VERSION}`);
+  }
+  if (!Number.isInteger(data.seed) || data.seed < 0 || data.seed > 4294967295) throw new Error('Replay seed is invalid');
+  if (!DIFFICULTY_PRESETS[data.difficulty]) throw new Error('Replay difficulty is unknown');
+  const hitbox = data.hitbox == null ? 'exact' : data.hitbox;
+  const body = data.body == null ? 'square' : data.body;
+  if (!hasKey(HITBOX_INSETS, hitbox) || !hasKey(BIRD_CORNERS, body)) throw new Error('Replay hitbox is unknown');
+  if (!Array.isArray(data.flaps) || !data.flaps.every(d => Number.isInteger(d) && d >= 0)) {
+    throw new Error('Replay input ticks are invalid');
+  }
+  let t = 0;
+  const flaps = data.flaps.map(d => (t += d));
+  const ticks = Number.isInteger(data.ticks) && data.ticks >= t ? data.ticks : t;
+  const score = Number.isInteger(data.score) ? data.score : 0;
+  return { seed: data.seed, difficulty: data.difficulty, hitbox, body, physics: data.physics, ticks, score, flaps };
+}
+
+/* Drives a Simulation from a recorded replay, tick by tick */
+class ReplayPlayer {
+  // the bird is drawn in the viewer's look but keeps the recorded hitbox
+  constructor(replay, settings = {}) {
+    this.replay = replay;
+    this.sim = new Simulation({
+      seed: replay.seed, difficulty: replay.difficulty, hitbox: replay.hitbox, settings: { ...settings, body: replay.body }
+    });
+    this.rewind();
+  }
+
+  get tick() { return this.sim.tick; }
+  get done() { return this.sim.over; }
+
+  rewind() {
+    this.sim.reset();
+    this.sim.start();
+    this.cursor = 0; // index of the next flap to apply
+  }
+
+  step() {
+    const flaps = this.replay.flaps;
+    while (this.cursor < flaps.length && flaps[this.cursor] <= this.sim.tick) {
+      this.sim.flap();
+      this.cursor++;
+    }
+    this.sim.step();
+  }
+
+  // jump to an absolute tick; going backwards re-simulates from the start
+  seek(tick) {
+    if (tick < this.sim.tick) this.rewind();
+    while (this.sim.tick < tick && !this.sim.over) this.step();
+  }
+}
+
+/* -------------------------
+   Courses: hand-made obstacle sequences instead of random ones
+   ------------------------- */
+/* A course is { name, difficulty, speed, finish, obstacles }, each obstacle { dx, gapY, gap, type, speed, pickup }:
+   dx is the distance from the previous obstacle (from the bird's start for the first), type a key of
+   OBSTACLE_TYPES, speed (or null) the scroll speed once the bird has passed it and pickup (or null) 'coin' or a
+   power-up floating in its gap. The difficulty preset supplies gravity and, unless the course sets a speed, the
+   starting scroll speed. With finish on the course ends at a finish line just past the last obstacle;
+   with it off random pillars carry on from there. */
+const COURSE_FORMAT = 1;
+const COURSE_MAX_OBSTACLES = 500;
+const COURSE_DX = [PILLAR_WIDTH + 60, 2000];
+const COURSE_GAP = [BIRD_RADIUS * 2 * 2.5, 420];
+const COURSE_SPEED = [1.5, 9];
+const COURSE_LEAD_IN = 480;    // first obstacle's dx when test-playing from the middle of a course
+const COURSE_FINISH_DX = 300;  // finish line distance past the last obstacle
+
+/* highest and lowest gap centre that still leaves a stub of column at each end */
+function courseGapYRange(gap) {
+  return [gap/2 + PILLAR_MIN_HEIGHT, BASE_HEIGHT - gap/2 - PILLAR_MIN_HEIGHT];
+}
+
+/* any partial obstacle made whole, with every number pulled into range */
+function normalizeObstacle(o = {}) {
+  const gap = Math.round(clampTo(o.gap, COURSE_GAP, PILLAR_GAP));
+  return {
+    dx: Math.round(clampTo(o.dx, COURSE_DX, PILLAR_SPACING)),
+    gapY: Math.round(clampTo(o.gapY, courseGapYRange(gap), BASE_HEIGHT/2)),
+    gap,
+    type: hasKey(OBSTACLE_TYPES, o.type) ? o.type : 'static',
+    speed: Number.isFinite(o.speed) ? clampTo(o.speed, COURSE_SPEED) : null,
+    pickup: o.pickup === 'coin' || hasKey(POWERUPS, o.pickup) ? o.pickup : null
+  };
+}
+
+function normalizeCourse(data) {
+  return {
+    name: typeof data.name === 'string' && data.name.trim() ? data.name.trim().slice(0, 40) : 'Untitled course',
+    difficulty: hasKey(DIFFICULTY_PRESETS, data.difficulty) ? data.difficulty : DEFAULT_DIFFICULTY,
+    speed: Number.isFinite(data.speed) ? clampTo(data.speed, COURSE_SPEED) : null,
+    finish: data.finish !== false,
+    obstacles: data.obstacles.map(normalizeObstacle)
+  };
+}
+
+/* Course file JSON; null fields are left out */
+function encodeCourse(course) {
+  const obstacles = course.obstacles.map((o) => {
+    const out = { dx: o.dx, gapY: o.gapY, gap: o.gap, type: o.type };
+    if (o.speed != null) out.speed = o.speed;
+    if (o.pickup) out.pickup = o.pickup;
+    return out;
+  });
+  const data = { v: COURSE_FORMAT, name: course.name, difficulty: course.difficulty, finish: course.finish };
+  if (course.speed != null) data.speed = course.speed;
+  data.obstacles = obstacles;
+  return JSON.stringify(data, null, 2);
+}
+
+/* Parse and validate course JSON; throws an Error describing what is wrong. Out-of-range numbers are clamped. */
+function decodeCourse(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    throw new Error('Course is not valid JSON');
+  }
+  if (!data || typeof data !== 'object' || data.v !== COURSE_FORMAT) throw new Error('Unsupported course format');
+  if (!Array.isArray(data.obstacles) || !data.obstacles.length) throw new Error('Course has no obstacles');
+  if (data.obstacles.length > COURSE_MAX_OBSTACLES) throw new Error(`Course has more than ${COURSE_MAX_OBSTACLES} obstacles`);
+  data.obstacles.forEach((o, i) => {
+    if (!o || typeof o !== 'object') throw new Error(`Obstacle ${i + 1} is not an object`);
+    for (let key of ['dx', 'gapY', 'gap']) {
+      if (!Number.isFinite(o[key])) throw new Error(`Obstacle ${i + 1} needs a number for ${key}`);
+    }
+    if (o.type != null && !hasKey(OBSTACLE_TYPES, o.type)) throw new Error(`Obstacle ${i + 1} has an unknown type "${o.type}"`);
+  });
+  return normalizeCourse(data);
+}
+
+/* The course from obstacle index `from` on, led in like a fresh start and at the speed in effect there */
+function sliceCourse(course, from) {
+  let speed = course.speed;
+  for (let o of course.obstacles.slice(0, from)) if (o.speed != null) speed = o.speed;
+  const obstacles = course.obstacles.slice(from).map((o) => ({ ...o }));
+  if (from > 0 && obstacles.length) obstacles[0].dx = COURSE_LEAD_IN;
+  return { ...course, speed, obstacles };
+}
+
+/* -------------------------
+   Collision helpers
+   ------------------------- */
+function circleRectCollision(circle, rect) {
+  // circle: {x,y,r}, rect: {x,y,w,h}
+  const distX = Math.abs(circle.x - (rect.x + rect.w/2));
+  const distY = Math.abs(circle.y - (rect.y + rect.h/2));
+
+  if (distX > (rect.w/2 + circle.r)) return false;
+  if (distY > (rect.h/2 + circle.r)) return false;
+
+  if (distX <= (rect.w/2)) return true;
+  if (distY <= (rect.h/2)) return true;
+
+  const dx = distX - rect.w/2;
+  const dy = distY - rect.h/2;
+  return (dx*dx + dy*dy <= (circle.r * circle.r));
+}
+
+/* box: a Bird.getHitbox(), the turned square { x, y, inner, angle } grown by corner; rect: {x,y,w,h}.
+   They touch when the square and the rect overlap or lie within corner of each other. */
+function hitboxRectCollision(box, rect) {
+  if (!circleRectCollision({ x: box.x, y: box.y, r: box.inner * Math.SQRT2 + box.corner }, rect)) return false;
+  const square = boxCorners(box);
+  const rectCorners = [
+    { x: rect.x, y: rect.y }, { x: rect.x + rect.w, y: rect.y },
+    { x: rect.x + rect.w, y: rect.y + rect.h }, { x: rect.x, y: rect.y + rect.h }
+  ];
+  return polygonsOverlap(square, rectCorners) || polygonDistance(square, rectCorners) <= box.corner;
+}
+
+function boxCorners(box) {
+  const cos = Math.cos(box.angle) * box.inner;
+  const sin = Math.sin(box.angle) * box.inner;
+  return [[-1, -1], [1, -1], [1, 1], [-1, 1]].map(([u, v]) => ({ x: box.x + u*cos - v*sin, y: box.y + u*sin + v*cos }));
+}
+
+/* separating axis test for two convex polygons (corner lists in order) */
+function polygonsOverlap(a, b) {
+  for (let poly of [a, b]) {
+    for (let i = 0; i < poly.length; i++) {
+      const p = poly[i], q = poly[(i + 1) % poly.length];
+      const nx = q.y - p.y, ny = p.x - q.x;
+      const range = (pts) => pts.map(c => c.x*nx + c.y*ny);
+      const ra = range(a), rb = range(b);
+      if (Math.max(...ra) < Math.min(...rb) || Math.max(...rb) < Math.min(...ra)) return false;
+    }
+  }
+  return true;
+}
+
+/* shortest distance between the outlines of two polygons that don't overlap */
+function polygonDistance(a, b) {
+  let best = Infinity;
+  for (let [pts, poly] of [[a, b], [b, a]]) {
+    for (let c of pts) {
+      for (let i = 0; i < poly.length; i++) best = Math.min(best, segmentDistance(c, poly[i], poly[(i + 1) % poly.length]));
+    }
+  }
+  return best;
+}
+
+function segmentDistance(c, p, q) {
+  const dx = q.x - p.x, dy = q.y - p.y;
+  const len = dx*dx + dy*dy;
+  const t = len ? Math.max(0, Math.min(1, ((c.x - p.x)*dx + (c.y - p.y)*dy) / len)) : 0;
+  return Math.hypot(c.x - p.x - t*dx, c.y - p.y - t*dy);
+}
+
+/* -------------------------
+   Seeded random numbers
+   ------------------------- */
+/* mulberry32: small, fast 32-bit PRNG; returns a function yielding floats in [0, 1) */
+function createRng(seed) {
+  let a = seed >>> 0;
+  return function () {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/* A seed derived from text (FNV-1a), identical on every machine */
+function seedFromText(text) {
+  let h = 0x811C9DC5;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+/* The daily challenge seed for a 'YYYY-MM-DD' date */
+function dailySeed(stamp) { return seedFromText(stamp); }
+
+function randomSeed(rng = Math.random) { return Math.floor(rng() * 4294967296) >>> 0; }
+
+/* Turn user input into a seed: plain numbers are used as-is, any other text is hashed (seedFromText).
+   Returns null for empty input, meaning "pick a random seed". */
+function parseSeed(value) {
+  const text = String(value == null ? '' : value).trim();
+  if (!text) return null;
+  if (/^\d+$/.test(text) && Number(text) <= 4294967295) return Number(text);
+  return seedFromText(text);
+}
+
+/* -------------------------
+   Utility functions
+   ------------------------- */
+function lerp(a, b, t) { return a + (b - a) * t; }
+/* v pulled into [min, max]; fallback when v isn't a finite number */
+function clampTo(v, [min, max], fallback = min) { return Number.isFinite(v) ? Math.max(min, Math.min(max, v)) : fallback; }
+/* own keys only, so 'constructor' and friends aren't mistaken for a table entry */
+function hasKey(table, key) { return typeof key === 'string' && Object.prototype.hasOwnProperty.call(table, key); }
+function randRange(a, b, rng = Math.random) { return Math.floor(rng() * (b - a + 1)) + a; }
+
+/* Node export (ignored in the browser, where these are plain script globals) */
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    BASE_WIDTH, BASE_HEIGHT, TICK_MS, PHYSICS_VERSION,
+    GRAVITY, FLAP_STRENGTH, MAX_DROP_SPEED,
+    PILLAR_WIDTH, PILLAR_GAP, PILLAR_SPACING, PILLAR_SPEED, SCORE_MAX,
+    DIFFICULTY_PRESETS, DEFAULT_DIFFICULTY, DAILY_DIFFICULTY, PROGRESSION_CURVE, courseParams,
+    POWERUPS, SLOWMO_PACE, OBSTACLE_TYPES, MAX_PLAYERS,
+    Bird, Pillar, OscillatingPillar, ClosingPillar, CrumblingPillar, WindZone, Pickup, Simulation, Autopilot, ReplayPlayer,
+    createReplay, encodeReplay, decodeReplay,
+    COURSE_FORMAT, normalizeObstacle, normalizeCourse, encodeCourse, decodeCourse, sliceCourse, courseGapYRange,
+    BIRD_CORNERS, HITBOX_INSETS, circleRectCollision, hitboxRectCollision, createRng, randomSeed, seedFromText, dailySeed, parseSeed, randRange, lerp
+  };
+}
+
+/* End of file */
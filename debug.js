@@ -0,0 +1,194 @@
+/* debug.js */
+/* Developer overlay: frame-time graph, hitboxes straight from getHitbox()/getRects(), velocity
+   vectors and a readout of the running parameters, drawn over the game. It also holds the physics
+   tuning (see Simulation.tune) that game.js's debug panel edits and applies to every new game.
+   Hitboxes are the shapes at the current tick, so they can lead the interpolated drawing by a fraction
+   of a tick. Toggled with the backtick key, or on from the start with ?debug in the URL.
+*/
+
+const DEBUG_FRAME_SAMPLES = 120; // frames kept for the graph
+const DEBUG_GRAPH = { x: BASE_WIDTH - 320, y: 20, w: 300, h: 70, maxMs: 50 };
+const DEBUG_VECTOR_SCALE = 6;    // px drawn per px/tick of velocity
+
+/* Sliders of the tuning panel; keys are courseParams() preset fields */
+const DEBUG_TUNABLES = [
+  { key: 'gravity', label: 'Gravity', min: 0.1, max: 1.2, step: 0.01 },
+  { key: 'flap', label: 'Flap strength', min: -16, max: -4, step: 0.1 },
+  { key: 'maxDrop', label: 'Max drop speed', min: 4, max: 24, step: 0.5 },
+  { key: 'gap', label: 'Pillar gap', min: 110, max: 420, step: 5 },
+  { key: 'spacing', label: 'Pillar spacing', min: 200, max: 900, step: 10 },
+  { key: 'speed', label: 'Scroll speed', min: 1.5, max: 9, step: 0.1 }
+];
+
+class DebugOverlay {
+  constructor() {
+    this.enabled = false;
+    this.frames = [];         // recent frame times in ms, oldest first
+    this.tuning = {};         // key -> value for the sliders moved away from the preset
+    this.invincible = false;
+    this.frozen = false;      // the loop only advances on step()
+    this.pendingSteps = 0;
+  }
+
+  // leaving debug mode hands the game back running on the preset physics; the tuning is kept for next time
+  toggle() {
+    this.enabled = !this.enabled;
+    if (!this.enabled) this.setFrozen(false);
+  }
+
+  setFrozen(on) {
+    this.frozen = on;
+    this.pendingSteps = 0;
+  }
+
+  recordFrame(ms) {
+    this.frames.push(ms);
+    if (this.frames.length > DEBUG_FRAME_SAMPLES) this.frames.shift();
+  }
+
+  // one tick while frozen
+  step() {
+    if (this.frozen) this.pendingSteps++;
+  }
+
+  // ticks the loop may run this frame while frozen
+  takeSteps() {
+    const n = this.pendingSteps;
+    this.pendingSteps = 0;
+    return n;
+  }
+
+  /* -------------------------
+     Tuning
+     ------------------------- */
+  // the value a slider shows: tuned, or the difficulty's own
+  value(key, difficulty) {
+    return key in this.tuning ? this.tuning[key] : courseParams(difficulty, 0)[key];
+  }
+
+  set(key, value, difficulty) {
+    if (value === courseParams(difficulty, 0)[key]) delete this.tuning[key];
+    else this.tuning[key] = value;
+  }
+
+  reset() {
+    this.tuning = {};
+  }
+
+  // a simulation gets the panel's tuning and invincibility while debug mode is on, the preset otherwise
+  apply(sim) {
+    sim.tune(this.enabled ? this.tuning : {});
+    const invincible = this.enabled && this.invincible;
+    if (invincible !== sim.invincible) sim.setInvincible(invincible);
+  }
+
+  // every tunable for the difficulty, in DIFFICULTY_PRESETS shape (flap and maxDrop stand for FLAP_STRENGTH and MAX_DROP_SPEED)
+  exportJson(difficulty) {
+    const values = {};
+    for (let t of DEBUG_TUNABLES) values[t.key] = this.value(t.key, difficulty);
+    return JSON.stringify({ physics: PHYSICS_VERSION, difficulty, tuned: Object.keys(this.tuning), values }, null, 2);
+  }
+
+  /* -------------------------
+     Drawing (canvas pixels)
+     ------------------------- */
+  // over the world, inside its screen shake so the shapes stay on what they belong to
+  drawWorld(ctx, sim) {
+    ctx.save();
+    this.drawHitboxes(ctx, sim);
+    this.drawVectors(ctx, sim);
+    ctx.restore();
+  }
+
+  // fixed to the screen, over everything; sim is null in the course editor
+  drawStats(ctx, sim) {
+    ctx.save();
+    this.drawGraph(ctx);
+    this.drawReadout(ctx, sim);
+    ctx.restore();
+  }
+
+  // shapes as the collision code sees them at the current tick
+  drawHitboxes(ctx, sim) {
+    ctx.lineWidth = 2;
+    ctx.strokeStyle = '#ff4081';
+    for (let p of sim.pillars) {
+      for (let r of p.getRects()) ctx.strokeRect(r.x, r.y, r.w, r.h);
+    }
+    ctx.strokeStyle = '#00e5ff';
+    for (let p of sim.pickups) {
+      ctx.beginPath();
+      ctx.arc(p.x, p.y, p.radius, 0, Math.PI*2);
+      ctx.stroke();
+    }
+    ctx.strokeStyle = sim.invincible ? '#ffd54f' : '#76ff03';
+    for (let bird of sim.birds) {
+      const b = bird.getHitbox(sim.hitInset);
+      const half = b.inner + b.corner;
+      ctx.save();
+      ctx.translate(b.x, b.y);
+      ctx.rotate(b.angle);
+      roundRect(ctx, -half, -half, half * 2, half * 2, b.corner);
+      ctx.stroke();
+      ctx.restore();
+    }
+  }
+
+  drawVectors(ctx, sim) {
+    ctx.strokeStyle = '#fff';
+    ctx.lineWidth = 2;
+    for (let bird of sim.birds) {
+      const tx = bird.x + bird.vx * DEBUG_VECTOR_SCALE;
+      const ty = bird.y + bird.vy * DEBUG_VECTOR_SCALE;
+      ctx.beginPath();
+      ctx.moveTo(bird.x, bird.y);
+      ctx.lineTo(tx, ty);
+      // arrow head
+      const a = Math.atan2(ty - bird.y, tx - bird.x);
+      ctx.lineTo(tx - 8 * Math.cos(a - 0.4), ty - 8 * Math.sin(a - 0.4));
+      ctx.moveTo(tx, ty);
+      ctx.lineTo(tx - 8 * Math.cos(a + 0.4), ty - 8 * Math.sin(a + 0.4));
+      ctx.stroke();
+    }
+  }
+
+  // one bar per frame; the line marks a 60 fps frame
+  drawGraph(ctx) {
+    const g = DEBUG_GRAPH;
+    ctx.fillStyle = 'rgba(0,0,0,0.55)';
+    ctx.fillRect(g.x, g.y, g.w, g.h);
+    const bar = g.w / DEBUG_FRAME_SAMPLES;
+    this.frames.forEach((ms, i) => {
+      const h = Math.min(g.h, ms / g.maxMs * g.h);
+      ctx.fillStyle = ms > TICK_MS * 1.5 ? '#ff5252' : '#69f0ae';
+      ctx.fillRect(g.x + i * bar, g.y + g.h - h, Math.max(1, bar - 0.5), h);
+    });
+    const lineY = g.y + g.h - TICK_MS / g.maxMs * g.h;
+    ctx.strokeStyle = 'rgba(255,255,255,0.5)';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(g.x, lineY);
+    ctx.lineTo(g.x + g.w, lineY);
+    ctx.stroke();
+  }
+
+  drawReadout(ctx, sim) {
+    const n = this.frames.length;
+    const avg = n ? this.frames.reduce((a, b) => a + b, 0) / n : 0;
+    const lines = [`${avg ? Math.round(1000 / avg) : 0} fps · ${avg.toFixed(1)} ms`];
+    if (sim) {
+      const p = sim.params;
+      lines.push(`tick ${sim.tick} · score ${sim.score}${this.frozen ? ' · frozen' : ''}`);
+      lines.push(`gravity ${p.gravity.toFixed(2)} · flap ${p.flap.toFixed(1)} · drop ${p.maxDrop}`);
+      lines.push(`gap ${p.gap} · spacing ${p.spacing} · speed ${p.speed.toFixed(2)}`);
+      lines.push(`bird y ${sim.bird.y.toFixed(1)} · vy ${sim.bird.vy.toFixed(2)}${sim.tuned ? ' · tuned' : ''}`);
+    }
+    ctx.font = '13px ui-monospace, monospace';
+    ctx.fillStyle = 'rgba(0,0,0,0.55)';
+    ctx.fillRect(DEBUG_GRAPH.x, DEBUG_GRAPH.y + DEBUG_GRAPH.h + 6, DEBUG_GRAPH.w, lines.length * 16 + 8);
+    ctx.fillStyle = '#fff';
+    lines.forEach((line, i) => ctx.fillText(line, DEBUG_GRAPH.x + 6, DEBUG_GRAPH.y + DEBUG_GRAPH.h + 22 + i * 16));
+  }
+}
+
+/* End of file */
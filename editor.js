@@ -0,0 +1,248 @@
+/* editor.js */
+/* Course editor: lays out a hand-made course (see Courses in core.js) on the canvas, where pillars are
+   dragged into place, gap edges dragged to resize and empty space dragged to scroll. It only edits
+   the course object and draws it; game.js owns the toolbar, saving and test runs. Drawing reuses
+   the game's helpers (drawBackground, drawPillar, drawPickup, drawBird, drawFinishLine).
+*/
+
+const EDITOR_EDGE_GRAB = 14; // px around a gap edge that grabs it for resizing
+const EDITOR_NUDGE = 10;     // px an arrow key moves the selected gap
+
+/* A short course to start from */
+function sampleCourse() {
+  return normalizeCourse({
+    name: 'My course',
+    difficulty: DEFAULT_DIFFICULTY,
+    finish: true,
+    obstacles: [
+      { dx: 700, gapY: 360, gap: 240 },
+      { dx: 420, gapY: 300, gap: 230, pickup: 'coin' },
+      { dx: 420, gapY: 420, gap: 230, type: 'oscillating' },
+      { dx: 460, gapY: 340, gap: 220, type: 'wind' },
+      { dx: 420, gapY: 380, gap: 220, type: 'closing', speed: 4.2 },
+      { dx: 460, gapY: 320, gap: 220, type: 'crumbling', pickup: 'shield' }
+    ]
+  });
+}
+
+class CourseEditor {
+  // onChange: called after every edit, to save and refresh the toolbar
+  constructor(course, { settings = {}, onChange = null } = {}) {
+    this.course = course;
+    this.selected = 0; // index of the selected obstacle
+    this.scroll = 0;   // world x shown at the canvas' left edge
+    this.drag = null;  // { mode: 'pillar' | 'top' | 'bottom' | 'pan', ... } while the pointer is down
+    this.onChange = onChange;
+    this.bird = new Bird(BIRD_X, BASE_HEIGHT/2, settings);
+    this.previews = new WeakMap(); // obstacle -> Pillar drawn for it, rebuilt when its type changes
+  }
+
+  get obstacle() { return this.course.obstacles[this.selected]; }
+
+  // world x of every obstacle, as Simulation places them at the start of a run
+  positions() {
+    let x = BIRD_X;
+    return this.course.obstacles.map((o) => (x += o.dx));
+  }
+
+  get finishX() {
+    const xs = this.positions();
+    return this.course.finish ? xs[xs.length - 1] + PILLAR_WIDTH + COURSE_FINISH_DX : null;
+  }
+
+  changed() {
+    if (this.onChange) this.onChange(this);
+  }
+
+  select(index) {
+    this.selected = Math.max(0, Math.min(this.course.obstacles.length - 1, index));
+    // keep the selection on screen
+    const x = this.positions()[this.selected];
+    if (x - this.scroll < 60) this.scroll = Math.max(0, x - 60);
+    else if (x + PILLAR_WIDTH - this.scroll > BASE_WIDTH - 60) this.scroll = x + PILLAR_WIDTH - BASE_WIDTH + 60;
+  }
+
+  /* -------------------------
+     Editing
+     ------------------------- */
+  // a new obstacle after the selected one, shaped like it; the ones after it move along
+  add() {
+    if (this.course.obstacles.length >= COURSE_MAX_OBSTACLES) return;
+    const from = this.obstacle;
+    const o = normalizeObstacle({ dx: PILLAR_SPACING, gapY: from.gapY, gap: from.gap, type: from.type });
+    this.course.obstacles.splice(this.selected + 1, 0, o);
+    this.select(this.selected + 1);
+    this.changed();
+  }
+
+  // the ones after it stay where they are; a course keeps at least one obstacle
+  remove() {
+    const obstacles = this.course.obstacles;
+    if (obstacles.length < 2) return;
+    const [o] = obstacles.splice(this.selected, 1);
+    const next = obstacles[this.selected];
+    if (next) next.dx = Math.min(COURSE_DX[1], next.dx + o.dx);
+    this.select(this.selected);
+    this.changed();
+  }
+
+  // props: any obstacle fields, pulled into range
+  update(props) {
+    Object.assign(this.obstacle, normalizeObstacle({ ...this.obstacle, ...props }));
+    this.changed();
+  }
+
+  // course-wide fields: name, difficulty, speed, finish
+  configure(props) {
+    const { obstacles, ...header } = normalizeCourse({ ...this.course, ...props });
+    Object.assign(this.course, header);
+    this.changed();
+  }
+
+  nudge(step) {
+    this.update({ gapY: this.obstacle.gapY + step * EDITOR_NUDGE });
+  }
+
+  /* -------------------------
+     Pointer: x, y in canvas pixels (BASE_WIDTH x BASE_HEIGHT)
+     ------------------------- */
+  pointerDown(x, y) {
+    const xs = this.positions();
+    const index = xs.findIndex((px) => x + this.scroll >= px && x + this.scroll <= px + PILLAR_WIDTH);
+    if (index < 0) {
+      this.drag = { mode: 'pan', startX: x, startScroll: this.scroll };
+      return;
+    }
+    this.selected = index;
+    const o = this.obstacle;
+    let mode = 'pillar';
+    if (Math.abs(y - (o.gapY - o.gap/2)) < EDITOR_EDGE_GRAB) mode = 'top';
+    else if (Math.abs(y - (o.gapY + o.gap/2)) < EDITOR_EDGE_GRAB) mode = 'bottom';
+    this.drag = { mode, startX: x, startY: y, startPos: xs[index], startGapY: o.gapY };
+    this.changed();
+  }
+
+  pointerMove(x, y) {
+    const drag = this.drag;
+    if (!drag) return;
+    if (drag.mode === 'pan') {
+      this.scroll = Math.max(0, drag.startScroll - (x - drag.startX));
+      return;
+    }
+    const o = this.obstacle;
+    if (drag.mode !== 'pillar') {
+      // resizing from one edge about the gap's centre
+      Object.assign(o, normalizeObstacle({ ...o, gap: Math.round(Math.abs(y - o.gapY) * 2) }));
+      return;
+    }
+    // moving a pillar leaves the ones after it in place, within the spacing limits on both sides
+    const xs = this.positions();
+    const prev = this.selected > 0 ? xs[this.selected - 1] : BIRD_X;
+    const next = this.course.obstacles[this.selected + 1];
+    let lo = prev + COURSE_DX[0];
+    let hi = prev + COURSE_DX[1];
+    if (next) {
+      lo = Math.max(lo, xs[this.selected + 1] - COURSE_DX[1]);
+      hi = Math.min(hi, xs[this.selected + 1] - COURSE_DX[0]);
+    }
+    const px = Math.round(Math.max(lo, Math.min(hi, drag.startPos + x - drag.startX)));
+    if (next) next.dx = xs[this.selected + 1] - px;
+    o.dx = px - prev;
+    const [top, bottom] = courseGapYRange(o.gap);
+    o.gapY = Math.round(Math.max(top, Math.min(bottom, drag.startGapY + y - drag.startY)));
+  }
+
+  pointerUp() {
+    const moved = this.drag && this.drag.mode !== 'pan';
+    this.drag = null;
+    if (moved) this.changed();
+  }
+
+  scrollBy(dx) {
+    this.scroll = Math.max(0, this.scroll + dx);
+  }
+
+  /* -------------------------
+     Drawing
+     ------------------------- */
+  // a Pillar standing in for an obstacle, shown with its gap at rest
+  preview(o, index) {
+    let pillar = this.previews.get(o);
+    if (!pillar || pillar.kind !== o.type) {
+      pillar = new OBSTACLE_TYPES[o.type](0, o.gapY, seedFromText(`${index}`), o.gap, createRng(index));
+      this.previews.set(o, pillar);
+    }
+    pillar.gapY = pillar.prevGapY = o.gapY;
+    pillar.gap = pillar.prevGap = o.gap;
+    return pillar;
+  }
+
+  draw(ctx) {
+    drawBackground(ctx, this.scroll);
+    const xs = this.positions();
+    this.course.obstacles.forEach((o, i) => {
+      const x = xs[i] - this.scroll;
+      if (x > BASE_WIDTH || x + PILLAR_WIDTH + WIND_REACH < 0) return;
+      const pillar = this.preview(o, i);
+      pillar.x = pillar.prevX = x;
+      drawPillar(ctx, pillar);
+      if (o.pickup) {
+        const cx = x + PILLAR_WIDTH/2;
+        drawPickup(ctx, { x: cx, prevX: cx, y: o.gapY, prevY: o.gapY, radius: PICKUP_RADIUS, kind: o.pickup });
+      }
+      this.drawLabel(ctx, o, i, x);
+    });
+    if (this.course.finish) drawFinishLine(ctx, this.finishX - this.scroll);
+
+    // where the bird starts
+    this.bird.x = this.bird.prevX = BIRD_X - this.scroll;
+    if (this.bird.x > -BIRD_RADIUS) drawBird(ctx, this.bird);
+
+    const sel = this.obstacle;
+    if (sel) this.drawSelection(ctx, sel, xs[this.selected] - this.scroll);
+
+    ctx.save();
+    ctx.fillStyle = 'rgba(255,255,255,0.85)';
+    ctx.font = '20px system-ui, sans-serif';
+    ctx.fillText(`Course editor · ${this.course.name}`, 20, 40);
+    ctx.font = '15px system-ui, sans-serif';
+    ctx.fillText('Drag a pillar to move it, a gap edge to resize it, empty space to scroll', 20, 64);
+    ctx.restore();
+  }
+
+  // number, kind, spacing and any speed change over each pillar
+  drawLabel(ctx, o, i, x) {
+    const lines = [`#${i + 1} ${o.type}`, `+${o.dx}px`];
+    if (o.speed != null) lines.push(`speed ${o.speed}`);
+    ctx.save();
+    ctx.font = 'bold 14px system-ui, sans-serif';
+    ctx.textAlign = 'center';
+    ctx.lineWidth = 4;
+    ctx.strokeStyle = 'rgba(40,30,20,0.6)';
+    ctx.fillStyle = '#fff8e1';
+    lines.forEach((line, n) => {
+      const y = 100 + n * 18;
+      ctx.strokeText(line, x + PILLAR_WIDTH/2, y);
+      ctx.fillText(line, x + PILLAR_WIDTH/2, y);
+    });
+    ctx.restore();
+  }
+
+  drawSelection(ctx, o, x) {
+    ctx.save();
+    ctx.strokeStyle = '#ffd54f';
+    ctx.lineWidth = 3;
+    ctx.setLineDash([8, 6]);
+    ctx.strokeRect(x - PILLAR_TRIM - 4, 4, PILLAR_WIDTH + PILLAR_TRIM*2 + 8, BASE_HEIGHT - 8);
+    // grab handles on the gap edges
+    ctx.setLineDash([]);
+    ctx.fillStyle = '#ffd54f';
+    for (let y of [o.gapY - o.gap/2, o.gapY + o.gap/2]) {
+      roundRect(ctx, x + PILLAR_WIDTH/2 - 24, y - 5, 48, 10, 5);
+      ctx.fill();
+    }
+    ctx.restore();
+  }
+}
+
+/* End of file */
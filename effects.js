@@ -0,0 +1,223 @@
+/* effects.js */
+/* Visual juice driven by simulation events: feather and dust bursts on a hit, wing puffs on a flap,
+   floating "+1" popups on scoring, sparkles on pickups, rubble from crumbling pillars and screen shake.
+   Effects step on the same fixed ticks as the simulation and are drawn interpolated, but never feed back
+   into it, so replays are unaffected.
+   Particles come from a fixed pool, so a burst never allocates mid-game.
+   With reduced motion on there is no shake and no particles, and popups fade without rising.
+*/
+
+const PARTICLE_POOL_SIZE = 256;
+
+const SHAKE_MAX = 12;      // px offset at full strength
+const SHAKE_DECAY = 0.88;  // strength kept per tick
+const SHAKE_HIT = 1;       // strength added by a pillar hit
+const SHAKE_FALL = 0.6;    // ...and by hitting the floor or ceiling
+const SHAKE_CRUMBLE = 0.35; // ...and by a pillar breaking nearby
+
+const POPUP_MS = 700;
+const POPUP_RISE = 0.9;    // px per tick
+
+const DUST_COLOR = '#cbb48f';
+
+class Particle {
+  constructor() {
+    this.active = false;
+  }
+
+  // kind: 'feather' | 'dust' | 'puff' | 'popup'
+  reset(kind, x, y, vx, vy, life, props = {}) {
+    this.active = true;
+    this.kind = kind;
+    this.x = this.prevX = x;
+    this.y = this.prevY = y;
+    this.vx = vx;
+    this.vy = vy;
+    this.life = this.maxLife = life; // ms
+    this.gravity = props.gravity || 0;
+    this.drag = props.drag == null ? 1 : props.drag;
+    this.size = props.size || 4;
+    this.grow = props.grow || 0; // size change per tick
+    this.spin = props.spin || 0;
+    this.angle = props.angle || 0;
+    this.prevAngle = this.angle;
+    this.color = props.color || '#fff';
+    this.text = props.text || '';
+    return this;
+  }
+
+  update() {
+    this.prevX = this.x;
+    this.prevY = this.y;
+    this.prevAngle = this.angle;
+    this.vy += this.gravity;
+    this.vx *= this.drag;
+    this.vy *= this.drag;
+    this.x += this.vx;
+    this.y += this.vy;
+    this.angle += this.spin;
+    this.size = Math.max(0, this.size + this.grow);
+    this.life -= TICK_MS;
+    if (this.life <= 0) this.active = false;
+  }
+}
+
+class Effects {
+  constructor({ reducedMotion = false } = {}) {
+    this.reducedMotion = reducedMotion;
+    this.pool = Array.from({ length: PARTICLE_POOL_SIZE }, () => new Particle());
+    this.cursor = 0; // where the search for a free particle starts
+    this.clear();
+  }
+
+  clear() {
+    for (let p of this.pool) p.active = false;
+    this.shake = 0;
+    this.shakeX = this.shakeY = 0;
+    this.prevShakeX = this.prevShakeY = 0;
+  }
+
+  // a free particle, or the one after the last handed out if the pool is full
+  take() {
+    for (let i = 0; i < this.pool.length; i++) {
+      const p = this.pool[(this.cursor + i) % this.pool.length];
+      if (!p.active) {
+        this.cursor = (this.cursor + i + 1) % this.pool.length;
+        return p;
+      }
+    }
+    const p = this.pool[this.cursor];
+    this.cursor = (this.cursor + 1) % this.pool.length;
+    return p;
+  }
+
+  // advance one fixed tick
+  update() {
+    for (let p of this.pool) if (p.active) p.update();
+    this.prevShakeX = this.shakeX;
+    this.prevShakeY = this.shakeY;
+    this.shake = this.shake < 0.01 ? 0 : this.shake * SHAKE_DECAY;
+    // squared so small amounts barely move and big hits really jolt
+    const amp = this.shake * this.shake * SHAKE_MAX;
+    this.shakeX = (Math.random() * 2 - 1) * amp;
+    this.shakeY = (Math.random() * 2 - 1) * amp;
+  }
+
+  addShake(amount) {
+    if (this.reducedMotion) return;
+    this.shake = Math.min(1, this.shake + amount);
+  }
+
+  /* -------------------------
+     Emitters, one per game event
+     ------------------------- */
+  // worldSpeed: current scroll speed, so puffs are left behind where the flap happened
+  wingPuff(bird, worldSpeed = 0) {
+    if (this.reducedMotion) return;
+    for (let i = 0; i < 4; i++) {
+      this.take().reset('puff', bird.x - 14, bird.y + 6 + Math.random() * 8,
+        -worldSpeed - 1 - Math.random() * 1.5, 1 + Math.random() * 1.5, 300 + Math.random() * 150,
+        { size: 4 + Math.random() * 3, grow: 0.25, drag: 0.94, color: 'rgba(255,255,255,0.8)' });
+    }
+  }
+
+  // shown in the gap just cleared, scrolling away with it
+  scorePopup(pillar, worldSpeed = 0, text = '+1') {
+    const vy = this.reducedMotion ? 0 : -POPUP_RISE;
+    this.take().reset('popup', pillar.x + pillar.width / 2, pillar.gapY, -worldSpeed, vy, POPUP_MS, { text });
+  }
+
+  // pickups and a breaking shield: a ring of short-lived glints
+  sparkle(x, y, color, count = 10) {
+    if (this.reducedMotion) return;
+    for (let i = 0; i < count; i++) {
+      const a = (i / count) * Math.PI * 2;
+      const speed = 2.5 + Math.random() * 1.5;
+      this.take().reset('dust', x, y, Math.cos(a) * speed, Math.sin(a) * speed, 250 + Math.random() * 200,
+        { size: 2.5 + Math.random() * 1.5, grow: -0.05, drag: 0.9, color });
+    }
+  }
+
+  // a crumbling pillar breaking: a puff of stone dust along the break
+  rubble(pillar) {
+    this.addShake(SHAKE_CRUMBLE);
+    if (this.reducedMotion) return;
+    for (let i = 0; i < 12; i++) {
+      this.take().reset('dust', pillar.x + Math.random() * pillar.width, pillar.gapTop, (Math.random() - 0.5) * 2, Math.random() * 1.5,
+        500 + Math.random() * 300, { size: 3 + Math.random() * 4, grow: 0.12, drag: 0.92, color: DUST_COLOR });
+    }
+  }
+
+  // pillar: the Pillar hit (null when the bird fell or hit the ceiling)
+  impact(bird, pillar = null, fell = false) {
+    this.addShake(fell ? SHAKE_FALL : SHAKE_HIT);
+    if (this.reducedMotion) return;
+    // feathers scatter from the bird and flutter down
+    for (let i = 0; i < 14; i++) {
+      const a = Math.random() * Math.PI * 2;
+      const speed = 2 + Math.random() * 4;
+      this.take().reset('feather', bird.x, bird.y, Math.cos(a) * speed, Math.sin(a) * speed - 2, 900 + Math.random() * 600,
+        { size: 5 + Math.random() * 4, gravity: 0.12, drag: 0.93, angle: a, spin: (Math.random() - 0.5) * 0.3,
+          color: Math.random() < 0.5 ? bird.color : shadeColor(bird.color, 30) });
+    }
+    // dust kicks up where the bird struck: the pillar face, or the floor / ceiling
+    let dx = bird.x;
+    let dy = bird.y + bird.radius;
+    if (pillar) dx = Math.min(bird.x + bird.radius, pillar.x);
+    else if (bird.y < BASE_HEIGHT / 2) dy = bird.y - bird.radius;
+    for (let i = 0; i < 10; i++) {
+      this.take().reset('dust', dx, dy, (Math.random() - 0.7) * 3, (Math.random() - 0.5) * 3, 400 + Math.random() * 300,
+        { size: 3 + Math.random() * 4, grow: 0.15, drag: 0.9, color: DUST_COLOR });
+    }
+  }
+
+  /* -------------------------
+     Drawing
+     ------------------------- */
+  // offset the world by the interpolated shake; call inside a save()/restore() pair
+  applyShake(ctx, alpha = 1) {
+    const x = lerp(this.prevShakeX, this.shakeX, alpha);
+    const y = lerp(this.prevShakeY, this.shakeY, alpha);
+    if (!x && !y) return;
+    // zoom in just enough that the shifted world still covers the canvas edges
+    const zoom = 1 + (2 * SHAKE_MAX) / BASE_HEIGHT;
+    ctx.translate(BASE_WIDTH / 2 + x, BASE_HEIGHT / 2 + y);
+    ctx.scale(zoom, zoom);
+    ctx.translate(-BASE_WIDTH / 2, -BASE_HEIGHT / 2);
+  }
+
+  draw(ctx, alpha = 1) {
+    for (let p of this.pool) {
+      if (!p.active) continue;
+      const x = lerp(p.prevX, p.x, alpha);
+      const y = lerp(p.prevY, p.y, alpha);
+      const fade = Math.min(1, p.life / (p.maxLife * 0.4)); // fully opaque until the last 40%
+      ctx.save();
+      ctx.globalAlpha = fade;
+      if (p.kind === 'popup') {
+        ctx.font = 'bold 34px system-ui, sans-serif';
+        ctx.textAlign = 'center';
+        ctx.lineWidth = 5;
+        ctx.strokeStyle = 'rgba(40,30,20,0.6)';
+        ctx.strokeText(p.text, x, y);
+        ctx.fillStyle = '#fff8e1';
+        ctx.fillText(p.text, x, y);
+      } else if (p.kind === 'feather') {
+        ctx.translate(x, y);
+        ctx.rotate(lerp(p.prevAngle, p.angle, alpha));
+        ctx.fillStyle = p.color;
+        ctx.beginPath();
+        ctx.ellipse(0, 0, p.size, p.size * 0.4, 0, 0, Math.PI*2);
+        ctx.fill();
+      } else {
+        ctx.fillStyle = p.color;
+        ctx.beginPath();
+        ctx.arc(x, y, p.size, 0, Math.PI*2);
+        ctx.fill();
+      }
+      ctx.restore();
+    }
+  }
+}
+
+/* End of file */
@@ -1,7 +1,9 @@
 /* game.js */
-/* Main game logic: physics, controls, collision detection, bounce-back, menu background gameplay,
-   countdown, settings, responsive scaling to 16:9 container, mobile touch support.
-   Replace audio src in HTML with real files in assets/ for sound to play.
+/* Browser adapter: canvas rendering, controls, audio, menu background gameplay, countdown,
+   settings, responsive scaling to 16:9 container, mobile touch support.
+   The simulation itself (physics, spawning, scoring, collision) lives in core.js.
+   Sound goes through the Web Audio mixer in audio.js; key bindings and gamepads through controls.js;
+   the course editor's canvas view is editor.js and achievement rules are achievements.js.
 */
 
 /* -------------------------
@@ -15,51 +17,170 @@ const menu = document.getElementById('menu');
 const settings = document.getElementById('settings');
 const countdown = document.getElementById('countdown');
 const countdownText = document.getElementById('countdownText');
+const pauseMenu = document.getElementById('pauseMenu');
 const gameOver = document.getElementById('gameOver');
 const finalScore = document.getElementById('finalScore');
+const finalSeed = document.getElementById('finalSeed');
+const finalBest = document.getElementById('finalBest');
+const finalWinner = document.getElementById('finalWinner');
+const menuBest = document.getElementById('menuBest');
+const initialsForm = document.getElementById('initialsForm');
+const initialsInput = document.getElementById('initialsInput');
+const rankNote = document.getElementById('rankNote');
+const leaderboard = document.getElementById('leaderboard');
+const boardSelect = document.getElementById('boardSelect');
+const boardTable = document.getElementById('boardTable');
 const hudScore = document.getElementById('score');
+const hudScore2 = document.getElementById('score2');
+const hudScores = [hudScore, hudScore2]; // one per player
+const hudGhostScore = document.getElementById('ghostScore');
+const hudCoins = document.getElementById('coins');
+const hudPowerups = document.getElementById('powerups');
+const menuCoins = document.getElementById('menuCoins');
+const menuDaily = document.getElementById('menuDaily');
+const dailyResult = document.getElementById('dailyResult');
+const finalDaily = document.getElementById('finalDaily');
+const finalCoins = document.getElementById('finalCoins');
+const courseCleared = document.getElementById('courseCleared');
+const clearedName = document.getElementById('clearedName');
+const clearedScore = document.getElementById('clearedScore');
+const clearedTime = document.getElementById('clearedTime');
+const hud = document.getElementById('hud');
+const toasts = document.getElementById('toasts');
+const announcer = document.getElementById('announcer');
+const debugPanel = document.getElementById('debugPanel');
+const debugSliders = document.getElementById('debugSliders');
+const debugInvincible = document.getElementById('debugInvincible');
+const btnDebugFreeze = document.getElementById('btnDebugFreeze');
+const btnDebugStep = document.getElementById('btnDebugStep');
+const btnDebugReset = document.getElementById('btnDebugReset');
+const btnDebugExport = document.getElementById('btnDebugExport');
+const achievementsPanel = document.getElementById('achievements');
+const statsList = document.getElementById('statsList');
+const achievementList = document.getElementById('achievementList');
+const menuHint = document.getElementById('menuHint');
+const pauseHint = document.getElementById('pauseHint');
 
 const btnNew = document.getElementById('btnNew');
+const btnVersus = document.getElementById('btnVersus');
+const btnDaily = document.getElementById('btnDaily');
+const btnEditor = document.getElementById('btnEditor');
+const btnAchievements = document.getElementById('btnAchievements');
+const btnAchievementsClose = document.getElementById('btnAchievementsClose');
+const btnEditCourse = document.getElementById('btnEditCourse');
+const btnClearedAgain = document.getElementById('btnClearedAgain');
+const btnClearedEdit = document.getElementById('btnClearedEdit');
+const btnClearedMenu = document.getElementById('btnClearedMenu');
+const btnShareDaily = document.getElementById('btnShareDaily');
 const btnSettings = document.getElementById('btnSettings');
 const btnQuit = document.getElementById('btnQuit');
+const btnLeaderboard = document.getElementById('btnLeaderboard');
+const btnBoardExport = document.getElementById('btnBoardExport');
+const btnBoardClear = document.getElementById('btnBoardClear');
+const btnBoardClose = document.getElementById('btnBoardClose');
 const btnRestart = document.getElementById('btnRestart');
 const btnMenu = document.getElementById('btnMenu');
+const btnPause = document.getElementById('btnPause');
+const btnResume = document.getElementById('btnResume');
+const btnPauseRestart = document.getElementById('btnPauseRestart');
+const btnPauseSettings = document.getElementById('btnPauseSettings');
+const btnPauseMenu = document.getElementById('btnPauseMenu');
+const btnWatchLast = document.getElementById('btnWatchLast');
+const btnWatchBest = document.getElementById('btnWatchBest');
+const btnRaceBest = document.getElementById('btnRaceBest');
+const btnImportReplay = document.getElementById('btnImportReplay');
+const btnMenuReplay = document.getElementById('btnMenuReplay');
+const replayFile = document.getElementById('replayFile');
+
+const replayBar = document.getElementById('replayBar');
+const btnReplayPlay = document.getElementById('btnReplayPlay');
+const replaySpeed = document.getElementById('replaySpeed');
+const replayScrub = document.getElementById('replayScrub');
+const replayTime = document.getElementById('replayTime');
+const btnReplayExport = document.getElementById('btnReplayExport');
+const btnReplayClose = document.getElementById('btnReplayClose');
+
+const editorBar = document.getElementById('editorBar');
+const editType = document.getElementById('editType');
+const editGap = document.getElementById('editGap');
+const editSpeed = document.getElementById('editSpeed');
+const editPickup = document.getElementById('editPickup');
+const editName = document.getElementById('editName');
+const editDifficulty = document.getElementById('editDifficulty');
+const editStartSpeed = document.getElementById('editStartSpeed');
+const editFinish = document.getElementById('editFinish');
+const btnEditAdd = document.getElementById('btnEditAdd');
+const btnEditDelete = document.getElementById('btnEditDelete');
+const btnEditTest = document.getElementById('btnEditTest');
+const btnEditPlay = document.getElementById('btnEditPlay');
+const btnEditImport = document.getElementById('btnEditImport');
+const btnEditExport = document.getElementById('btnEditExport');
+const btnEditClose = document.getElementById('btnEditClose');
+const courseFile = document.getElementById('courseFile');
 
 const birdColorInput = document.getElementById('birdColor');
+const bird2ColorInput = document.getElementById('bird2Color');
 const eyeSizeInput = document.getElementById('eyeSize');
+const skinInput = document.getElementById('skin');
+const skinPreview = document.getElementById('skinPreview');
+const btnLoadSkin = document.getElementById('btnLoadSkin');
+const skinFile = document.getElementById('skinFile');
 const sfxVolInput = document.getElementById('sfxVol');
 const musicVolInput = document.getElementById('musicVol');
 const muteAllInput = document.getElementById('muteAll');
+const seedInput = document.getElementById('seedInput');
+const ghostRaceInput = document.getElementById('ghostRace');
+const difficultyInput = document.getElementById('difficulty');
+const hitboxInput = document.getElementById('hitbox');
+const assistInput = document.getElementById('assist');
+const reducedMotionInput = document.getElementById('reducedMotion');
+const colorSchemeInput = document.getElementById('colorScheme');
+const gameSpeedInput = document.getElementById('gameSpeed');
+const oneSwitchInput = document.getElementById('oneSwitch');
+const bindButtons = document.querySelectorAll('.btn-bind');
+const btnResetControls = document.getElementById('btnResetControls');
 const saveSettings = document.getElementById('saveSettings');
 const closeSettings = document.getElementById('closeSettings');
 
-const audioBgm = document.getElementById('bgm');
-const sfxFlap = document.getElementById('sfxFlap');
-const sfxPoint = document.getElementById('sfxPoint');
-const sfxHit = document.getElementById('sfxHit');
-
 /* -------------------------
    Game constants & state
    ------------------------- */
-const BASE_WIDTH = 1280;
-const BASE_HEIGHT = 720;
+/* World size, physics and TICK_MS come from core.js */
+const MAX_FRAME_MS = 250;      // clamp huge frame gaps (tab stalls) so we don't spiral
+
+/* Countdown timing (ms): first number lingers a little longer, then one per beat */
+const COUNTDOWN_FIRST_MS = 1000;
+const COUNTDOWN_STEP_MS = 800;
 
-/* Physics tuning */
-const GRAVITY = 0.45;           // gravity acceleration
-const FLAP_STRENGTH = -9.5;    // upward impulse on flap
-const MAX_DROP_SPEED = 12;     // terminal velocity
-const ROTATION_MAX = 0.9;      // radians
-const ROTATION_MIN = -0.6;
+const GHOST_ALPHA = 0.35;
 
-const PILLAR_WIDTH = 110;
-const PILLAR_GAP = 220;        // wider vertical gap for easier control
-const PILLAR_SPACING = 420;    // horizontal spacing between pillars
-const PILLAR_SPEED = 3.6;      // background scroll speed
+const TOAST_MS = 3500; // how long an achievement toast stays up
+const ONE_SWITCH_DELAY_MS = 1000; // one-switch: result shown at least this long before the switch restarts
 
-const SCORE_MAX = 999;
+/* Assist for new players: 'hint' draws the autopilot's path (core.js), 'correct' lets it fix fatal flaps */
+const ASSISTS = ['off', 'hint', 'correct'];
+const HINT_STEP = 5; // ticks between the dots of the path
+
+/* Pickup colours: coins, then one per power-up (also used for the HUD timers) */
+const PICKUP_COLORS = { coin: '#f4c542', shield: '#4aa3df', slowmo: '#9b6ad6', shrink: '#4caf7a', magnet: '#e0533d' };
+const PILLAR_COLORS = { stone: ['#e6d9c6', '#bfae8f'], crack: 'rgba(0,0,0,0.06)', dark: '#9b7f5f', light: '#e6d9c6' };
 
 /* Game runtime state */
 let game = null; // will hold Game instance
+let saveData = null; // persisted settings and records (storage.js)
+let lastReplay = null; // replay of the most recent finished run
+let bestReplays = {}; // difficulty -> replay of the highest-scoring run, kept in localStorage for ghost racing
+let replayReturn = null; // finished Game to return to when the replay viewer closes (null = menu)
+let pendingEntry = null; // { key, score } waiting for initials on the game-over panel
+let settingsFromPause = false; // settings overlay was opened from the pause menu
+let lastDaily = null; // { stamp, score } of the last finished daily challenge run, for sharing
+const mixer = new AudioMixer(); // sfx and music (audio.js)
+const gamepads = new GamepadInput(); // (controls.js)
+let editControls = null; // key bindings as edited in the settings overlay, applied on Save
+let rebinding = null; // { action, slot, button } while a bind button waits for a key
+let courseEditor = null; // CourseEditor holding the course being built (editor.js), created on first open
+let editing = false; // the editor is on screen (game is null meanwhile)
+const debug = new DebugOverlay(); // developer overlay and physics tuning (debug.js)
 
 /* -------------------------
    Responsive scaling
@@ -75,332 +196,280 @@ resizeCanvasToDisplay();
 window.addEventListener('resize', resizeCanvasToDisplay);
 
 /* -------------------------
-   Helper: play sound with volume and mute
-   ------------------------- */
-function playSound(audioEl, vol = 1) {
-  if (!audioEl) return;
-  if (muteAllInput.checked) return;
-  audioEl.volume = vol;
-  // clone to allow overlapping
-  try {
-    const clone = audioEl.cloneNode();
-    clone.volume = vol;
-    clone.play().catch(()=>{});
-  } catch (e) {}
-}
-
-/* -------------------------
-   Bird class
-   ------------------------- */
-class Bird {
-  constructor(x, y, settings) {
-    this.x = x;
-    this.y = y;
-    this.radius = 22; // visual size
-    this.vy = 0;
-    this.rotation = 0;
-    this.color = settings.color || '#2ecc71';
-    this.eyeSize = settings.eyeSize || 12;
-    this.alive = true;
-    this.score = 0;
-    this.width = this.radius * 2;
-    this.height = this.radius * 2;
-    this.bounceTimer = 0;
-  }
-
-  flap() {
-    this.vy = FLAP_STRENGTH;
-    playSound(sfxFlap, parseFloat(sfxVolInput.value));
-  }
-
-  update(dt) {
-    if (!this.alive) {
-      // when dead, apply gravity but slower
-      this.vy += GRAVITY * 0.6;
-    } else {
-      this.vy += GRAVITY;
-    }
-    // clamp
-    if (this.vy > MAX_DROP_SPEED) this.vy = MAX_DROP_SPEED;
-    if (this.vy < -18) this.vy = -18;
-
-    this.y += this.vy;
-
-    // rotation based on velocity
-    this.rotation = Math.max(ROTATION_MIN, Math.min(ROTATION_MAX, this.vy / 15));
-
-    // bounce-back timer reduces over time
-    if (this.bounceTimer > 0) this.bounceTimer -= dt;
-  }
-
-  draw(ctx) {
-    ctx.save();
-    ctx.translate(this.x, this.y);
-    ctx.rotate(this.rotation);
-
-    // body
-    ctx.fillStyle = this.color;
-    roundRect(ctx, -this.radius, -this.radius, this.radius*2, this.radius*2, 8);
-    ctx.fill();
-
-    // wing (simple)
-    ctx.fillStyle = shadeColor(this.color, -12);
-    ctx.beginPath();
-    ctx.ellipse(-6, 0, 10, 6, Math.PI/6, 0, Math.PI*2);
-    ctx.fill();
-
-    // eyes (two circles)
-    ctx.fillStyle = '#fff';
-    const eyeOffsetX = 8;
-    const eyeOffsetY = -6;
-    ctx.beginPath();
-    ctx.ellipse(eyeOffsetX, eyeOffsetY, this.eyeSize/2, this.eyeSize/2, 0, 0, Math.PI*2);
-    ctx.fill();
-    ctx.beginPath();
-    ctx.ellipse(eyeOffsetX, eyeOffsetY+8, this.eyeSize/2, this.eyeSize/2, 0, 0, Math.PI*2);
-    ctx.fill();
-
-    // pupils
-    ctx.fillStyle = '#222';
-    ctx.beginPath();
-    ctx.ellipse(eyeOffsetX+2, eyeOffsetY, this.eyeSize/4, this.eyeSize/4, 0, 0, Math.PI*2);
-    ctx.fill();
-    ctx.beginPath();
-    ctx.ellipse(eyeOffsetX+2, eyeOffsetY+8, this.eyeSize/4, this.eyeSize/4, 0, 0, Math.PI*2);
-    ctx.fill();
-
-    ctx.restore();
-  }
-
-  getBounds() {
-    // approximate as circle for collision
-    return { x: this.x, y: this.y, r: this.radius };
-  }
-}
-
-/* -------------------------
-   Pillar class
-   ------------------------- */
-class Pillar {
-  constructor(x, gapY) {
-    this.x = x;
-    this.width = PILLAR_WIDTH;
-    this.gapY = gapY; // center of gap
-    this.passed = false;
-  }
-
-  update(dt) {
-    this.x -= PILLAR_SPEED;
-  }
-
-  draw(ctx) {
-    // Draw top and bottom pillars with ancient stone look using gradients and simple cracks
-    const stoneColor = '#bfae8f';
-    const dark = '#9b7f5f';
-    const light = '#e6d9c6';
-
-    // top pillar rectangle
-    const topH = this.gapY - (PILLAR_GAP/2);
-    ctx.save();
-    // top
-    ctx.fillStyle = createStonePattern(ctx, this.x, 0, this.width, topH);
-    ctx.fillRect(this.x, 0, this.width, topH);
-    // bottom
-    const bottomY = this.gapY + (PILLAR_GAP/2);
-    const bottomH = BASE_HEIGHT - bottomY;
-    ctx.fillStyle = createStonePattern(ctx, this.x, bottomY, this.width, bottomH);
-    ctx.fillRect(this.x, bottomY, this.width, bottomH);
-
-    // decorative ancient capital on top of top pillar
-    ctx.fillStyle = dark;
-    ctx.fillRect(this.x - 6, Math.max(0, topH - 28), this.width + 12, 12);
-    ctx.fillStyle = light;
-    ctx.fillRect(this.x - 6, Math.max(0, topH - 16), this.width + 12, 8);
-
-    // base decoration on bottom pillar
-    ctx.fillStyle = dark;
-    ctx.fillRect(this.x - 6, bottomY + bottomH - 12, this.width + 12, 12);
-    ctx.restore();
-  }
-
-  getRects() {
-    // return top and bottom rectangles for collision
-    const topH = this.gapY - (PILLAR_GAP/2);
-    const bottomY = this.gapY + (PILLAR_GAP/2);
-    return [
-      { x: this.x, y: 0, w: this.width, h: topH },
-      { x: this.x, y: bottomY, w: this.width, h: BASE_HEIGHT - bottomY }
-    ];
-  }
-}
-
-/* -------------------------
-   Game class
+   Game class: wires a core Simulation to the DOM, audio and canvas
    ------------------------- */
 class Game {
-  constructor({ auto = false, menuMode = false, settings = {} } = {}) {
-    this.bird = new Bird(220, BASE_HEIGHT/2, settings);
-    this.pillars = [];
-    this.spawnTimer = 0;
-    this.score = 0;
-    this.running = false;
-    this.auto = auto; // if true, bird auto-flaps to avoid pillars (used for menu background)
+  constructor({ auto = false, menuMode = false, mode = 'classic', difficulty = DEFAULT_DIFFICULTY, seed = null, ghost = null, replay = null, daily = null, course = null, hitbox = 'exact', assist = 'off', settings = {} } = {}) {
+    // replay games are driven by a ReplayPlayer instead of user input
+    this.player = replay ? new ReplayPlayer(replay, settings) : null;
+    // versus puts a second bird on the same course
+    const players = mode === 'versus' ? 2 : 1;
+    this.sim = this.player ? this.player.sim : new Simulation({ auto, seed, difficulty, ghost, players, course, hitbox, assist: assist === 'correct', settings });
+    // debug tuning and invincibility reach every game but replays, which must fly as recorded
+    if (!this.player) {
+      debug.apply(this.sim);
+      if (debug.enabled) syncDebugPanel(this.sim.difficulty);
+    }
     this.menuMode = menuMode;
+    this.mode = mode; // 'classic', 'daily', 'versus' or 'course'; with difficulty, the leaderboard table a classic run counts towards
+    this.daily = daily; // 'YYYY-MM-DD' of the daily challenge being played
+    this.difficulty = this.sim.difficulty;
     this.settings = settings;
-    this.lastTime = performance.now();
-    this.gameOver = false;
+    this.assist = assist; // ASSISTS key
     this.countdownActive = false;
     this.countdownValue = 3;
-    this.spawnInitial();
+    this.countdownTimer = 0;
+    this.countdownDone = null;
+    this.paused = false;
+    this.resumeAction = null; // countdown callback interrupted by pausing, re-run on resume
+    this.timeScale = 1; // simulation speed multiplier (replay speed / pause)
+    this.speedScale = this.live ? gameSpeed() : 1; // accessibility: gentle mode runs live games slower
+    this.slowed = this.speedScale < 1; // played at a gentle speed at some point, so unranked
+    this.overAt = 0; // performance.now() when the result was shown (one-switch restarts after a moment)
+    this.silent = false; // suppress sounds and effects, e.g. while scrubbing a replay
+    // live runs feed the lifetime stats and achievements (player one's bird in versus), unless tuned or helped
+    this.run = this.live && this.rewarded && !this.sim.tuned ? new RunStats(this.sim) : null;
+    this.effects = new Effects({ reducedMotion: reducedMotionEnabled() });
+
+    this.sim
+      .on('flap', (e) => {
+        this.sound('flap');
+        if (!this.silent) this.effects.wingPuff(e.bird, this.sim.params.speed);
+      })
+      .on('score', (e) => {
+        hudScores[e.player].textContent = e.score;
+        this.sound('point');
+        if (!this.silent) this.effects.scorePopup(e.pillar, this.sim.params.speed);
+        if (this.live) announce(this.versus ? `Player ${e.player + 1}: ${e.score}` : `Score ${e.score}`);
+        if (this.run) checkAchievements(this.run);
+      })
+      .on('hit', (e) => {
+        this.sound('hit');
+        if (!this.silent) this.effects.impact(e.bird, e.pillar, e.fell);
+      })
+      .on('crumble', (e) => {
+        this.sound('crumble');
+        if (!this.silent) this.effects.rubble(e.pillar);
+      })
+      .on('coin', (e) => {
+        this.sound('coin');
+        if (!this.silent) this.effects.sparkle(e.pickup.x, e.pickup.y, pickupColor('coin'));
+        if (this.run) checkAchievements(this.run);
+      })
+      .on('powerup', (e) => {
+        this.sound('powerup');
+        if (!this.silent) this.effects.sparkle(e.pickup.x, e.pickup.y, pickupColor(e.kind), 16);
+      })
+      .on('shield', (e) => {
+        this.sound('shield');
+        if (!this.silent) this.effects.sparkle(e.bird.x, e.bird.y, pickupColor('shield'), 20);
+      })
+      .on('ghostscore', (e) => { hudGhostScore.textContent = `Best ${e.score}`; })
+      .on('cleared', () => {
+        if (this.menuMode || this.player) return;
+        finishRun(this.run);
+        this.overAt = performance.now();
+        mixer.stopMusic();
+        showCourseCleared(this.sim);
+      })
+      .on('gameover', (e) => {
+        if (this.menuMode || this.player) return;
+        finishRun(this.run);
+        this.overAt = performance.now();
+        btnEditCourse.classList.toggle('hidden', this.mode !== 'course');
+        if (this.sim.tuned) {
+          showUnrecordedResult(this.sim, 'not banked: debug run', `Seed: ${this.sim.seed} · tuned, not recorded`);
+          return;
+        }
+        if (this.versus) {
+          showVersusResult(this.sim, this.help);
+          return;
+        }
+        if (this.mode === 'course') {
+          showCourseResult(this.sim);
+          return;
+        }
+        finalWinner.classList.add('hidden');
+        // a daily run's best is the day's (see showDailyResult), kept apart from the difficulty's
+        finalBest.classList.toggle('hidden', !!this.daily);
+        lastReplay = createReplay(this.sim);
+        // a helped run can be watched, but sets no best, banks no coins and unlocks nothing; a gentle one only sets no best
+        if (this.rewarded) recordRun(lastReplay, this.sim.coins, this.ranked && !this.daily);
+        else updateBestDisplays(this.difficulty);
+        finalScore.textContent = `Score: ${e.score}`;
+        finalCoins.textContent = this.rewarded ? `Coins: +${this.sim.coins} (${saveData.coins} total)` : `Coins: ${this.sim.coins} (not banked)`;
+        finalSeed.textContent = [`Seed: ${e.seed}`, ...this.help, this.slowed ? 'gentle speed, unranked' : ''].filter(Boolean).join(' · ');
+        btnWatchBest.disabled = btnRaceBest.disabled = !!this.daily || !bestReplays[this.difficulty];
+        btnWatchLast.disabled = false;
+        gameOver.classList.remove('hidden');
+        // daily runs are ranked against the day's attempts instead of a leaderboard
+        if (this.daily) {
+          showDailyResult(this.daily, e.score, this.ranked);
+        } else {
+          dailyResult.classList.add('hidden');
+          if (this.ranked) promptInitials(leaderboardKey(this.mode, this.difficulty), e.score);
+          else hideInitials();
+        }
+        announce(`Game over. ${finalScore.textContent}. ${(this.daily ? finalDaily : finalBest).textContent}`);
+      });
+
+    if (menuMode) this.sim.start(); // run in background
   }
 
-  spawnInitial() {
-    // create a few pillars ahead
-    this.pillars = [];
-    let x = 700;
-    for (let i = 0; i < 4; i++) {
-      const gapY = randRange(180, BASE_HEIGHT - 180);
-      this.pillars.push(new Pillar(x, gapY));
-      x += PILLAR_SPACING;
-    }
+  get bird() { return this.sim.bird; }
+  get versus() { return this.sim.players > 1; }
+  get pillars() { return this.sim.pillars; }
+  get score() { return this.sim.score; }
+  get running() { return this.sim.running; }
+  get gameOver() { return this.sim.gameOver; }
+  get cleared() { return this.sim.cleared; }
+  get live() { return !this.menuMode && !this.player; } // played by someone, not the menu demo or a replay
+  // what made the run easier, for the result line; a run with any of it isn't rewarded
+  get help() {
+    return [this.sim.hitbox === 'exact' ? '' : 'forgiving hitbox',
+      this.sim.assist ? `assisted ${plural(this.sim.assists, 'time')}` : ''].filter(Boolean);
+  }
+  get rewarded() { return this.help.length === 0; } // may bank coins, unlock skins and achievements
+  get ranked() { return this.rewarded && !this.slowed; } // may also set bests and enter a leaderboard
+
+  sound(name) {
+    if (!this.silent) mixer.play(name);
   }
 
-  spawnPillar() {
-    const lastX = this.pillars.length ? this.pillars[this.pillars.length - 1].x : BASE_WIDTH;
-    const x = lastX + PILLAR_SPACING;
-    const margin = 140;
-    const gapY = randRange(margin + PILLAR_GAP/2, BASE_HEIGHT - margin - PILLAR_GAP/2);
-    this.pillars.push(new Pillar(x, gapY));
+  // from the settings mid-run; slowing down drops the run off the records for good
+  setSpeed(scale) {
+    this.speedScale = scale;
+    if (scale < 1) this.slowed = true;
   }
 
+  // countdown is advanced by update() so it runs on simulation time, not wall-clock timers
   startCountdown(cb) {
     this.countdownActive = true;
     this.countdownValue = 3;
+    this.countdownTimer = COUNTDOWN_FIRST_MS;
+    this.countdownDone = cb;
     countdownText.textContent = this.countdownValue;
     countdown.classList.remove('hidden');
-    const tick = () => {
-      if (this.countdownValue <= 0) {
-        this.countdownActive = false;
-        countdown.classList.add('hidden');
-        cb && cb();
-        return;
-      }
-      countdownText.textContent = this.countdownValue;
-      this.countdownValue--;
-      setTimeout(tick, 800);
-    };
-    setTimeout(tick, 200);
+    announce('Get ready');
+  }
+
+  updateCountdown() {
+    this.countdownTimer -= TICK_MS;
+    if (this.countdownTimer > 0) return;
+    this.countdownValue--;
+    if (this.countdownValue <= 0) {
+      this.countdownActive = false;
+      countdown.classList.add('hidden');
+      announce('Go');
+      const cb = this.countdownDone;
+      this.countdownDone = null;
+      cb && cb();
+      return;
+    }
+    countdownText.textContent = this.countdownValue;
+    this.countdownTimer += COUNTDOWN_STEP_MS;
   }
 
   start() {
-    this.running = true;
-    this.gameOver = false;
-    this.bird.alive = true;
-    this.bird.vy = 0;
-    this.score = 0;
-    hudScore.textContent = this.score;
-    audioBgm.volume = parseFloat(musicVolInput.value);
-    if (!muteAllInput.checked) audioBgm.play().catch(()=>{});
+    this.sim.start();
+    hudScores.forEach((el) => { el.textContent = '0'; });
+    mixer.playMusic();
   }
 
   stop() {
-    this.running = false;
-    audioBgm.pause();
+    this.sim.stop();
+    mixer.pauseMusic();
   }
 
-  update(dt) {
-    if (!this.running && !this.menuMode) return;
-    // spawn pillars periodically
-    this.spawnTimer += dt;
-    if (this.spawnTimer > 1600) {
-      this.spawnTimer = 0;
-      this.spawnPillar();
-    }
-
-    // update bird
-    this.bird.update(dt/16);
+  // only live player games can pause, and only until the bird is hit or the course is cleared
+  get canPause() {
+    return this.live && !this.paused && !this.sim.gameOver && !this.sim.cleared;
+  }
 
-    // auto-flap logic for menu background: simple heuristic
-    if (this.auto && !this.gameOver) {
-      const next = this.pillars.find(p => p.x + p.width > this.bird.x);
-      if (next) {
-        // if bird is below gap center, flap
-        if (this.bird.y > next.gapY + 10) {
-          if (this.bird.vy > 2) this.bird.flap();
-        }
-        // if approaching top of gap, avoid hitting top
-        if (this.bird.y < next.gapY - 40 && this.bird.vy < -2) {
-          // do nothing
-        }
-      }
+  pause() {
+    if (!this.canPause) return false;
+    this.paused = true;
+    // a countdown in progress starts over on resume but keeps what it was going to do
+    if (this.countdownActive) {
+      this.resumeAction = this.countdownDone;
+      this.countdownActive = false;
+      this.countdownDone = null;
+      countdown.classList.add('hidden');
     }
+    mixer.pauseMusic();
+    return true;
+  }
 
-    // update pillars
-    for (let p of this.pillars) p.update(dt/16);
-
-    // remove off-screen pillars
-    this.pillars = this.pillars.filter(p => p.x + p.width > -50);
+  // control returns after a fresh countdown
+  resume() {
+    if (!this.paused || this.countdownActive) return;
+    const then = this.resumeAction;
+    this.resumeAction = null;
+    this.startCountdown(() => {
+      this.paused = false;
+      if (then) then();
+      else if (this.sim.running) mixer.playMusic();
+    });
+  }
 
-    // scoring: when pillar passes bird
-    for (let p of this.pillars) {
-      if (!p.passed && p.x + p.width < this.bird.x) {
-        p.passed = true;
-        this.score = Math.min(SCORE_MAX, this.score + 1);
-        hudScore.textContent = this.score;
-        playSound(sfxPoint, parseFloat(sfxVolInput.value));
-      }
+  // advance by exactly one fixed tick (TICK_MS)
+  update() {
+    if (this.player) {
+      if (!this.player.done) this.player.step();
+      this.effects.update();
+      return;
     }
-
-    // collision detection
-    if (!this.gameOver) {
-      for (let p of this.pillars) {
-        const rects = p.getRects();
-        for (let r of rects) {
-          if (circleRectCollision(this.bird.getBounds(), r)) {
-            // collision occurred
-            this.onHit(p);
-            break;
-          }
-        }
-        if (this.gameOver) break;
-      }
-      // floor/ceiling collision
-      if (this.bird.y - this.bird.radius < 0 || this.bird.y + this.bird.radius > BASE_HEIGHT) {
-        this.onHit(null, true);
-      }
+    if (this.countdownActive) this.updateCountdown();
+    if (this.paused) return;
+    this.sim.step();
+    this.effects.update();
+    // a demo that has ended starts over on a fresh course
+    if (this.menuMode && this.sim.over) {
+      this.sim.reset(randomSeed());
+      this.sim.start();
     }
   }
 
-  onHit(pillar = null, fell = false) {
-    // bounce-back effect: push bird slightly away and upward, play hit sound
-    this.bird.alive = false;
-    this.gameOver = true;
-    this.running = false;
-    // bounce back: negative vx simulated by moving bird left a bit and upward
-    this.bird.vy = -8;
-    this.bird.bounceTimer = 300;
-    playSound(sfxHit, parseFloat(sfxVolInput.value));
-    // show game over overlay after short delay
-    setTimeout(() => {
-      finalScore.textContent = `Score: ${this.score}`;
-      gameOver.classList.remove('hidden');
-    }, 600);
+  flap(player = 0) {
+    this.sim.flap(player);
   }
 
-  flap() {
-    if (!this.running) return;
-    if (this.bird.alive) this.bird.flap();
-  }
+  // alpha: interpolation factor between the last two ticks
+  draw(ctx, alpha = 1) {
+    // the world is frozen while paused, so don't interpolate towards the next tick
+    if (this.paused) alpha = 1;
+    // everything in the world shakes together (effects.js); labels drawn after restore() stay put
+    ctx.save();
+    this.effects.applyShake(ctx, alpha);
+    // parallax world (background.js), scrolled by the interpolated distance travelled
+    drawBackground(ctx, lerp(this.sim.prevDistance, this.sim.distance, alpha));
 
-  draw(ctx) {
-    // clear background (sky + clouds)
-    drawBackground(ctx);
+    // draw pillars and the pickups in their gaps
+    for (let p of this.sim.pillars) drawPillar(ctx, p, alpha);
+    for (let p of this.sim.pickups) drawPickup(ctx, p, alpha);
+    if (this.sim.finishX != null) drawFinishLine(ctx, this.sim.finishX - lerp(this.sim.prevDistance, this.sim.distance, alpha));
 
-    // draw pillars
-    for (let p of this.pillars) p.draw(ctx);
+    // the assist's safe path, ahead of the bird while it flies
+    if (this.assist === 'hint' && this.live && this.sim.running && this.bird.alive) drawPathHint(ctx, this.sim, alpha);
 
-    // draw bird
-    this.bird.draw(ctx);
+    // ghost of the best run, drawn translucent underneath the live bird (gone once its run ends)
+    if (this.sim.ghost && !this.sim.ghost.player.done) {
+      ctx.save();
+      ctx.globalAlpha = GHOST_ALPHA;
+      drawBird(ctx, this.sim.ghost.bird, alpha);
+      ctx.restore();
+    }
+
+    // draw birds (player one on top), then particles and score popups over them
+    for (let i = this.sim.birds.length - 1; i >= 0; i--) {
+      const bird = this.sim.birds[i];
+      drawBird(ctx, bird, alpha);
+      if (bird.powerups.shield > 0 || bird.graceTicks > 0) drawShield(ctx, bird, alpha);
+      if (this.versus && bird.alive) drawPlayerTag(ctx, bird, i + 1, alpha);
+    }
+    this.effects.draw(ctx, alpha);
+    if (debug.enabled) debug.drawWorld(ctx, this.sim);
+    ctx.restore();
 
     // if menu mode, draw subtle HUD
     if (this.menuMode) {
@@ -411,69 +480,306 @@ class Game {
       ctx.fillText('Menu Demo', 20, 40);
       ctx.restore();
     }
+    if (this.player) {
+      ctx.save();
+      ctx.fillStyle = 'rgba(255,255,255,0.85)';
+      ctx.font = '20px system-ui, sans-serif';
+      ctx.textAlign = 'right';
+      ctx.fillText(`Replay · ${DIFFICULTY_PRESETS[this.difficulty].label} · seed ${this.sim.seed}`, BASE_WIDTH - 20, 40);
+      ctx.restore();
+    } else if (this.daily) {
+      ctx.save();
+      ctx.fillStyle = 'rgba(255,255,255,0.85)';
+      ctx.font = '20px system-ui, sans-serif';
+      ctx.textAlign = 'right';
+      ctx.fillText(`Daily challenge · ${this.daily}`, BASE_WIDTH - 20, 40);
+      ctx.restore();
+    } else if (this.sim.course) {
+      ctx.save();
+      ctx.fillStyle = 'rgba(255,255,255,0.85)';
+      ctx.font = '20px system-ui, sans-serif';
+      ctx.textAlign = 'right';
+      ctx.fillText(`Course · ${this.sim.course.name}`, BASE_WIDTH - 20, 40);
+      ctx.restore();
+    }
   }
 }
 
 /* -------------------------
    Drawing helpers
    ------------------------- */
-function drawBackground(ctx) {
-  // sky gradient
-  const g = ctx.createLinearGradient(0, 0, 0, BASE_HEIGHT);
-  g.addColorStop(0, '#87CEEB');
-  g.addColorStop(1, '#bfe9ff');
-  ctx.fillStyle = g;
-  ctx.fillRect(0, 0, BASE_WIDTH, BASE_HEIGHT);
+/* Bird in its skin (skins.js). alpha: 0..1 fraction between the previous and current tick */
+function drawBird(ctx, bird, alpha = 1) {
+  ctx.save();
+  ctx.translate(lerp(bird.prevX, bird.x, alpha), lerp(bird.prevY, bird.y, alpha));
+  ctx.rotate(lerp(bird.prevRotation, bird.rotation, alpha));
+  paintSkin(ctx, bird, skinById(bird.skin));
+  ctx.restore();
+}
+
+/* Pickups: a gold coin, or a coloured orb with a small icon for each power-up */
+function drawPickup(ctx, pickup, alpha = 1) {
+  const r = pickup.radius;
+  ctx.save();
+  ctx.translate(lerp(pickup.prevX, pickup.x, alpha), lerp(pickup.prevY, pickup.y, alpha));
+  const color = pickupColor(pickup.kind);
+  ctx.fillStyle = color;
+  ctx.strokeStyle = shadeColor(color, -25);
+  ctx.lineWidth = 3;
+  ctx.beginPath();
+  ctx.arc(0, 0, r, 0, Math.PI*2);
+  ctx.fill();
+  ctx.stroke();
 
-  // clouds (simple procedural)
-  drawCloud(ctx, 180, 120, 1.0);
-  drawCloud(ctx, 420, 80, 0.9);
-  drawCloud(ctx, 820, 140, 1.1);
-  drawCloud(ctx, 1100, 90, 0.8);
+  ctx.strokeStyle = '#fff';
+  ctx.fillStyle = '#fff';
+  ctx.lineWidth = 2.5;
+  ctx.beginPath();
+  switch (pickup.kind) {
+    case 'coin':
+      ctx.strokeStyle = shadeColor(color, -25);
+      ctx.arc(0, 0, r * 0.55, 0, Math.PI*2);
+      ctx.stroke();
+      break;
+    case 'shield':
+      ctx.moveTo(0, -9);
+      ctx.lineTo(8, -5);
+      ctx.quadraticCurveTo(7, 5, 0, 10);
+      ctx.quadraticCurveTo(-7, 5, -8, -5);
+      ctx.closePath();
+      ctx.fill();
+      break;
+    case 'slowmo':
+      // clock face
+      ctx.arc(0, 0, 9, 0, Math.PI*2);
+      ctx.moveTo(0, 0);
+      ctx.lineTo(0, -6);
+      ctx.moveTo(0, 0);
+      ctx.lineTo(5, 2);
+      ctx.stroke();
+      break;
+    case 'shrink':
+      // arrows pointing inward at a small dot
+      ctx.arc(0, 0, 3, 0, Math.PI*2);
+      ctx.fill();
+      for (let a = 0; a < 4; a++) {
+        const c = Math.cos(a * Math.PI/2);
+        const s = Math.sin(a * Math.PI/2);
+        ctx.moveTo(c * 11, s * 11);
+        ctx.lineTo(c * 6, s * 6);
+      }
+      ctx.stroke();
+      break;
+    case 'magnet':
+      ctx.lineWidth = 4;
+      ctx.arc(0, -1, 6, Math.PI, 0, true);
+      ctx.moveTo(-6, -1);
+      ctx.lineTo(-6, -8);
+      ctx.moveTo(6, -1);
+      ctx.lineTo(6, -8);
+      ctx.stroke();
+      break;
+  }
+  ctx.restore();
 }
 
-function drawCloud(ctx, x, y, scale=1) {
+/* Shield bubble around the bird; flickers while it is breaking (grace ticks) */
+function drawShield(ctx, bird, alpha = 1) {
+  if (bird.graceTicks > 0 && Math.floor(bird.graceTicks / 4) % 2) return;
   ctx.save();
-  ctx.translate(x, y);
-  ctx.scale(scale, scale);
-  ctx.fillStyle = 'rgba(255,255,255,0.95)';
+  ctx.globalAlpha = 0.5;
+  ctx.strokeStyle = pickupColor('shield');
+  ctx.fillStyle = 'rgba(74,163,223,0.15)';
+  ctx.lineWidth = 3;
   ctx.beginPath();
-  ctx.ellipse(0, 0, 48, 28, 0, 0, Math.PI*2);
-  ctx.ellipse(36, -6, 36, 22, 0, 0, Math.PI*2);
-  ctx.ellipse(-36, -6, 36, 22, 0, 0, Math.PI*2);
+  ctx.arc(lerp(bird.prevX, bird.x, alpha), lerp(bird.prevY, bird.y, alpha), bird.radius * 1.6, 0, Math.PI*2);
   ctx.fill();
+  ctx.stroke();
   ctx.restore();
 }
 
-/* create stone-like pattern using gradient and noise lines */
-function createStonePattern(ctx, x, y, w, h) {
-  // create temporary canvas pattern
-  const temp = document.createElement('canvas');
-  temp.width = Math.max(64, Math.floor(w));
-  temp.height = Math.max(64, Math.floor(h));
-  const tctx = temp.getContext('2d');
+/* dots along the autopilot's path; a point t ticks ahead sits speed * t in front of the bird, moving with the world */
+function drawPathHint(ctx, sim, alpha = 1) {
+  const path = sim.autopilot.path();
+  const speed = sim.params.speed;
+  ctx.save();
+  ctx.fillStyle = '#fff';
+  for (let p of path) {
+    if (p.t === 0 || p.t % HINT_STEP) continue;
+    ctx.globalAlpha = 0.6 * (1 - p.t / path.length);
+    ctx.beginPath();
+    ctx.arc(sim.bird.x + (p.t + 1 - alpha) * speed, p.y, 4, 0, Math.PI*2);
+    ctx.fill();
+  }
+  ctx.restore();
+}
+
+/* Versus: "P1" / "P2" floating above each bird in its colour */
+function drawPlayerTag(ctx, bird, number, alpha = 1) {
+  ctx.save();
+  ctx.font = 'bold 18px system-ui, sans-serif';
+  ctx.textAlign = 'center';
+  ctx.lineWidth = 4;
+  ctx.strokeStyle = 'rgba(40,30,20,0.6)';
+  ctx.fillStyle = bird.color;
+  const x = lerp(bird.prevX, bird.x, alpha);
+  const y = lerp(bird.prevY, bird.y, alpha) - bird.radius - 12;
+  ctx.strokeText(`P${number}`, x, y);
+  ctx.fillText(`P${number}`, x, y);
+  ctx.restore();
+}
+
+/* Pillar: top and bottom stone columns with ancient stone look using gradients and simple cracks.
+   Each pillar is painted once into offscreen sprites the first time it is drawn; every frame after
+   that is a plain blit. Sprites are keyed by the Pillar object, so they go away with it, and repainted
+   if the colour scheme changes.
+   Columns are painted full screen height and cropped when drawn, so gaps that move or change size
+   (core.js obstacle kinds) still only blit: the upper column hangs from its capital, the lower one
+   stands on its base. */
+const PILLAR_TRIM = 6; // capital/base overhang on each side of the column
+const pillarSprites = new WeakMap();
+
+function drawPillar(ctx, pillar, alpha = 1) {
+  const x = lerp(pillar.prevX, pillar.x, alpha);
+  let sprite = pillarSprites.get(pillar);
+  if (!sprite || sprite.scheme !== worldStyle.scheme) {
+    sprite = renderPillarSprite(pillar);
+    pillarSprites.set(pillar, sprite);
+  }
+  const gapY = lerp(pillar.prevGapY, pillar.gapY, alpha);
+  const gap = lerp(pillar.prevGap, pillar.gap, alpha);
+  const w = sprite.top.width;
+  const crumbled = pillar.crumbled || 0;
+  if (pillar.kind === 'wind') drawWind(ctx, pillar, x);
+
+  // a crumbled column has lost its capital, so show it from the top down to the break
+  const topH = Math.round(gapY - gap/2 - crumbled);
+  if (topH > 0) ctx.drawImage(sprite.top, 0, crumbled ? 0 : BASE_HEIGHT - topH, w, topH, x - PILLAR_TRIM, 0, w, topH);
+  const bottomY = Math.round(gapY + gap/2);
+  const bottomH = BASE_HEIGHT - bottomY;
+  if (bottomH > 0) ctx.drawImage(sprite.bottom, 0, BASE_HEIGHT - bottomH, w, bottomH, x - PILLAR_TRIM, bottomY, w, bottomH);
+
+  if (pillar.debris) {
+    for (let d of pillar.debris) {
+      ctx.fillStyle = '#cdbb9b';
+      ctx.fillRect(x + d.dx, lerp(d.prevY, d.y, alpha), d.w, d.h);
+      ctx.fillStyle = 'rgba(0,0,0,0.15)';
+      ctx.fillRect(x + d.dx, lerp(d.prevY, d.y, alpha) + d.h - 4, d.w, 4);
+    }
+  }
+}
+
+function renderPillarSprite(pillar) {
+  const colors = COLOR_SCHEMES[worldStyle.scheme].pillar || PILLAR_COLORS;
+  const { dark, light } = colors;
+  const w = pillar.width;
+  const h = BASE_HEIGHT;
+  const rng = createRng(pillar.decorSeed);
+
+  // top column with its decorative ancient capital just above the gap
+  const top = createOffscreen(w + PILLAR_TRIM*2, h);
+  const tctx = top.getContext('2d');
+  paintStone(tctx, PILLAR_TRIM, 0, w, h, rng, colors);
+  tctx.fillStyle = dark;
+  tctx.fillRect(0, h - 28, w + PILLAR_TRIM*2, 12);
+  tctx.fillStyle = light;
+  tctx.fillRect(0, h - 16, w + PILLAR_TRIM*2, 8);
+  // a crumbling column shows where it is about to break
+  if (pillar.kind === 'crumbling') {
+    tctx.strokeStyle = 'rgba(60,40,20,0.55)';
+    tctx.lineWidth = 2;
+    tctx.beginPath();
+    tctx.moveTo(PILLAR_TRIM, h - CRUMBLE_DEPTH);
+    for (let x = PILLAR_TRIM; x <= PILLAR_TRIM + w; x += 10) {
+      tctx.lineTo(x, h - CRUMBLE_DEPTH + (rng() - 0.5) * 12);
+    }
+    for (let i = 0; i < 4; i++) {
+      const x = PILLAR_TRIM + rng() * w;
+      tctx.moveTo(x, h - CRUMBLE_DEPTH);
+      tctx.lineTo(x + (rng() - 0.5) * 20, h - 10 - rng() * 20);
+    }
+    tctx.stroke();
+  }
+
+  // bottom column with base decoration at the floor
+  const bottom = createOffscreen(w + PILLAR_TRIM*2, h);
+  const bctx = bottom.getContext('2d');
+  paintStone(bctx, PILLAR_TRIM, 0, w, h, rng, colors);
+  bctx.fillStyle = dark;
+  bctx.fillRect(0, h - 12, w + PILLAR_TRIM*2, 12);
+
+  return { top, bottom, scheme: worldStyle.scheme };
+}
 
+/* Wind: pale streaks drifting up or down through the region where the gust is felt */
+function drawWind(ctx, pillar, x) {
+  const left = x - WIND_REACH;
+  const width = WIND_REACH + pillar.width;
+  ctx.save();
+  ctx.fillStyle = 'rgba(255,255,255,0.08)';
+  ctx.fillRect(left, 0, width, BASE_HEIGHT);
+  ctx.strokeStyle = 'rgba(255,255,255,0.45)';
+  ctx.lineWidth = 2;
+  ctx.beginPath();
+  const drift = (pillar.age * 6 * pillar.direction) % 90;
+  for (let col = 0; col < 6; col++) {
+    const sx = left + 20 + col * (width - 40) / 5;
+    for (let y = -90 + drift + (col % 2) * 45; y < BASE_HEIGHT + 90; y += 90) {
+      ctx.moveTo(sx, y);
+      ctx.lineTo(sx, y + 30);
+    }
+  }
+  ctx.stroke();
+  ctx.restore();
+}
+
+/* paint stone-like texture (gradient and noise lines) into a rectangle; rng makes the cracks repeatable */
+function paintStone(ctx, x, y, w, h, rng = Math.random, colors = PILLAR_COLORS) {
   // base
-  const g = tctx.createLinearGradient(0, 0, 0, temp.height);
-  g.addColorStop(0, '#e6d9c6');
-  g.addColorStop(1, '#bfae8f');
-  tctx.fillStyle = g;
-  tctx.fillRect(0, 0, temp.width, temp.height);
+  const g = ctx.createLinearGradient(0, y, 0, y + h);
+  g.addColorStop(0, colors.stone[0]);
+  g.addColorStop(1, colors.stone[1]);
+  ctx.fillStyle = g;
+  ctx.fillRect(x, y, w, h);
 
   // add simple cracks/noise
-  tctx.strokeStyle = 'rgba(0,0,0,0.06)';
-  tctx.lineWidth = 1;
+  ctx.save();
+  ctx.beginPath();
+  ctx.rect(x, y, w, h);
+  ctx.clip();
+  ctx.strokeStyle = colors.crack;
+  ctx.lineWidth = 1;
   for (let i = 0; i < 6; i++) {
-    tctx.beginPath();
-    const sx = Math.random() * temp.width;
-    tctx.moveTo(sx, 0);
+    ctx.beginPath();
+    ctx.moveTo(x + rng() * w, y);
     for (let j = 0; j < 6; j++) {
-      tctx.lineTo(Math.random() * temp.width, (j+1) * (temp.height / 6));
+      ctx.lineTo(x + rng() * w, y + (j+1) * (h / 6));
     }
-    tctx.stroke();
+    ctx.stroke();
   }
+  ctx.restore();
+}
 
-  return ctx.createPattern(temp, 'repeat');
+function createOffscreen(w, h) {
+  const c = document.createElement('canvas');
+  c.width = Math.max(1, Math.ceil(w));
+  c.height = Math.max(1, Math.ceil(h));
+  return c;
+}
+
+/* Chequered finish line of a course across the whole height at screen x */
+const FINISH_SQUARE = 20;
+
+function drawFinishLine(ctx, x) {
+  if (x < -FINISH_SQUARE * 2 || x > BASE_WIDTH) return;
+  ctx.save();
+  for (let row = 0; row * FINISH_SQUARE < BASE_HEIGHT; row++) {
+    for (let col = 0; col < 2; col++) {
+      ctx.fillStyle = (row + col) % 2 ? '#222' : '#fff';
+      ctx.fillRect(x + col * FINISH_SQUARE, row * FINISH_SQUARE, FINISH_SQUARE, FINISH_SQUARE);
+    }
+  }
+  ctx.restore();
 }
 
 /* Rounded rectangle helper */
@@ -488,28 +794,13 @@ function roundRect(ctx, x, y, w, h, r) {
 }
 
 /* -------------------------
-   Collision helpers
+   Utility functions
    ------------------------- */
-function circleRectCollision(circle, rect) {
-  // circle: {x,y,r}, rect: {x,y,w,h}
-  const distX = Math.abs(circle.x - (rect.x + rect.w/2));
-  const distY = Math.abs(circle.y - (rect.y + rect.h/2));
-
-  if (distX > (rect.w/2 + circle.r)) return false;
-  if (distY > (rect.h/2 + circle.r)) return false;
-
-  if (distX <= (rect.w/2)) return true;
-  if (distY <= (rect.h/2)) return true;
-
-  const dx = distX - rect.w/2;
-  const dy = distY - rect.h/2;
-  return (dx*dx + dy*dy <= (circle.r * circle.r));
+/* a pickup's colour in the current colour scheme */
+function pickupColor(kind) {
+  return COLOR_SCHEMES[worldStyle.scheme].pickups[kind] || PICKUP_COLORS[kind];
 }
 
-/* -------------------------
-   Utility functions
-   ------------------------- */
-function randRange(a, b) { return Math.floor(Math.random() * (b - a + 1)) + a; }
 function shadeColor(col, percent) {
   // simple shade function for wing color
   const f = parseInt(col.slice(1),16);
@@ -521,155 +812,1436 @@ function shadeColor(col, percent) {
   return `rgb(${R},${G},${B})`;
 }
 
+/* local calendar date as YYYY-MM-DD */
+function localDateStamp(d = new Date()) {
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+/* simulation ticks as m:ss */
+function formatTicks(ticks) {
+  const secs = Math.floor(ticks * TICK_MS / 1000);
+  return `${Math.floor(secs / 60)}:${String(secs % 60).padStart(2, '0')}`;
+}
+
+/* save text as a file download */
+function downloadText(filename, text) {
+  const url = URL.createObjectURL(new Blob([text], { type: 'application/json' }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/* put text on the clipboard; resolves once copied, rejects where the clipboard isn't available */
+function copyText(text) {
+  if (!navigator.clipboard) return Promise.reject(new Error('Clipboard unavailable'));
+  return navigator.clipboard.writeText(text);
+}
+
 /* -------------------------
    Main loop & rendering
    ------------------------- */
 let lastFrame = performance.now();
+let accumulator = 0; // unsimulated time carried between frames (ms)
 function mainLoop(timestamp) {
-  const dt = timestamp - lastFrame;
+  const frameMs = Math.min(MAX_FRAME_MS, Math.max(0, timestamp - lastFrame));
   lastFrame = timestamp;
 
-  // update and draw
+  handleGamepad(gamepads.poll());
+  if (debug.enabled) debug.recordFrame(frameMs);
+
+  // run as many fixed ticks as the elapsed time covers, then draw in between the last two
   if (game) {
-    game.update(dt);
-    game.draw(ctx);
+    if (debug.frozen) {
+      // frozen for debugging: only the ticks asked for, drawn where they landed
+      for (let n = debug.takeSteps(); n > 0; n--) game.update();
+      accumulator = 0;
+    } else {
+      // slow-motion and gentle mode stretch real time per tick; the simulation itself is unchanged
+      accumulator += frameMs * game.timeScale * game.speedScale * game.sim.pace;
+      while (accumulator >= TICK_MS) {
+        game.update();
+        accumulator -= TICK_MS;
+      }
+    }
+    game.draw(ctx, debug.frozen ? 1 : accumulator / TICK_MS);
+    syncHud(game.sim);
+    if (game.player) syncReplayBar();
+  } else if (editing) {
+    courseEditor.draw(ctx);
   }
+  if (debug.enabled) debug.drawStats(ctx, game ? game.sim : null);
+  if (!settings.classList.contains('hidden')) drawSkinPreview(timestamp);
+
+  requestAnimationFrame(mainLoop);
+}
 
-  // if bird bounceTimer active, apply small visual nudge
-  if (game && game.bird && game.bird.bounceTimer > 0) {
-    // nudge effect handled in bird physics
+/* -------------------------
+   HUD: coins this run and a draining bar per active power-up
+   ------------------------- */
+const powerupChips = {}; // kind -> { el, fill, shown } (built by buildPowerupHud)
+
+function buildPowerupHud() {
+  for (let kind of Object.keys(POWERUPS)) {
+    const el = document.createElement('div');
+    el.className = 'powerup hidden';
+    el.style.setProperty('--chip-color', pickupColor(kind));
+    const label = document.createElement('span');
+    label.textContent = POWERUPS[kind].label;
+    const bar = document.createElement('span');
+    bar.className = 'powerup-bar';
+    const fill = document.createElement('i');
+    bar.appendChild(fill);
+    el.append(label, bar);
+    hudPowerups.appendChild(el);
+    powerupChips[kind] = { el, label, fill, shown: -1, owners: '' };
   }
+}
 
-  requestAnimationFrame(mainLoop);
+// only touches the DOM when something visible changed
+function syncHud(sim) {
+  const coins = `${sim.coins}`;
+  if (hudCoins.textContent !== coins) hudCoins.textContent = coins;
+  for (let kind of Object.keys(powerupChips)) {
+    const chip = powerupChips[kind];
+    // in versus one chip shows the longest timer, labelled with who has it
+    const ticks = Math.max(...sim.birds.map(b => b.powerups[kind]));
+    const pct = Math.ceil(ticks / POWERUPS[kind].ticks * 100);
+    const owners = sim.players > 1 ? sim.birds.map((b, i) => (b.powerups[kind] > 0 ? `P${i + 1}` : '')).filter(Boolean).join('+') : '';
+    if (owners !== chip.owners) {
+      chip.owners = owners;
+      chip.label.textContent = owners ? `${owners} ${POWERUPS[kind].label}` : POWERUPS[kind].label;
+    }
+    if (pct === chip.shown) continue;
+    chip.shown = pct;
+    chip.el.classList.toggle('hidden', pct === 0);
+    chip.fill.style.width = `${pct}%`;
+  }
 }
 
 /* -------------------------
-   Input handling (mouse, touch, keyboard)
+   Input handling (mouse, touch, keyboard, gamepad)
    ------------------------- */
-function onUserFlap() {
+// player: 0, or 1 for the second bird in versus
+function onUserFlap(player = 0) {
   if (!game) return;
+  // player two only has a bird (and a say) in versus
+  if (player > 0 && !game.versus) return;
+  // while watching a replay, clicks/Space toggle playback instead of flapping
+  if (game.player) {
+    toggleReplayPlayback();
+    return;
+  }
   // If menu visible, start new game flow
   if (!menu.classList.contains('hidden')) {
     // clicking New Game should be used, but allow quick start by clicking canvas
     startNewGameSequence();
     return;
   }
-  // If countdown active, start control after countdown
-  if (game.countdownActive) return;
+  // If countdown active (or paused), start control after countdown
+  if (game.countdownActive || game.paused) return;
+  // one-switch: once the result has been up a moment, the same switch goes again
+  if (game.sim.over && game.live && saveData.settings.oneSwitch) {
+    if (performance.now() - game.overAt < ONE_SWITCH_DELAY_MS) return;
+    gameOver.classList.add('hidden');
+    courseCleared.classList.add('hidden');
+    hideInitials();
+    restartRun();
+    return;
+  }
   // If game not running and not menu, start game (first click)
-  if (!game.running && !game.gameOver) {
+  if (!game.running && !game.gameOver && !game.cleared) {
     // start running and give control
     game.start();
-    game.flap();
+    game.flap(player);
     return;
   }
-  if (game.running && game.bird.alive) {
-    game.flap();
+  if (game.running) {
+    game.flap(player);
   }
 }
 
+// in versus the left half of the screen is player one's and the right half player two's
+function playerAt(clientX) {
+  if (!game || !game.versus) return 0;
+  const rect = canvas.getBoundingClientRect();
+  return clientX - rect.left < rect.width / 2 ? 0 : 1;
+}
+
 canvas.addEventListener('mousedown', (e) => {
-  onUserFlap();
+  onUserFlap(playerAt(e.clientX));
 });
 canvas.addEventListener('touchstart', (e) => {
   e.preventDefault();
-  onUserFlap();
+  for (let touch of e.changedTouches) onUserFlap(playerAt(touch.clientX));
 }, { passive: false });
 
 window.addEventListener('keydown', (e) => {
-  if (e.code === 'Space') {
+  if (handleDebugKey(e)) return;
+  if (editing) {
+    handleEditorKey(e);
+    return;
+  }
+  const overlay = activeOverlay();
+  if (overlay && handleOverlayKey(overlay, e)) return;
+  // typing in a form field (seed, initials) should not flap
+  if (e.target instanceof HTMLInputElement || e.target instanceof HTMLSelectElement) return;
+  let action = actionForKey(saveData.settings.controls, e.code);
+  // one-switch: any key that isn't bound to something else flaps
+  if (!action && saveData.settings.oneSwitch && isSwitchKey(e.code)) action = 'flap';
+  if (action === 'flap' || action === 'flap2') {
+    e.preventDefault();
+    onUserFlap(action === 'flap2' ? 1 : 0);
+  } else if (action === 'pause') {
     e.preventDefault();
-    onUserFlap();
+    togglePause();
   }
 });
 
+// arrows and Tab move between an overlay's controls, Escape backs out; true when the key was used here
+function handleOverlayKey(overlay, e) {
+  const inField = e.target instanceof HTMLInputElement || e.target instanceof HTMLSelectElement;
+  // Tab cycles through the overlay's controls and never leaves it
+  if (e.code === 'Tab') {
+    e.preventDefault();
+    moveFocus(overlay, e.shiftKey ? -1 : 1);
+    return true;
+  }
+  if (e.code.startsWith('Arrow')) {
+    // sliders, dropdowns and text fields keep their own arrow keys
+    if (inField) return false;
+    e.preventDefault();
+    moveFocus(overlay, e.code === 'ArrowUp' || e.code === 'ArrowLeft' ? -1 : 1);
+    return true;
+  }
+  if (e.code === 'Escape' && backOut(overlay)) {
+    e.preventDefault();
+    return true;
+  }
+  // Space / Enter on a focused button press it rather than flapping
+  return (e.code === 'Space' || e.code === 'Enter') && e.target instanceof HTMLButtonElement && overlay.contains(e.target);
+}
+
+// any face button flaps in play (the second pad flies player two in versus);
+// on an overlay A presses the focused control and B backs out
+function handleGamepad(pressed) {
+  if (!pressed.length) return;
+  mixer.unlock();
+  const overlay = activeOverlay();
+  for (let { pad, button } of pressed) {
+    if (button === PAD_START) {
+      togglePause();
+    } else if (!overlay) {
+      if (PAD_FACE.includes(button)) onUserFlap(game && game.versus ? Math.min(pad, 1) : 0);
+    } else if (button === PAD_UP || button === PAD_DOWN) {
+      moveFocus(overlay, button === PAD_UP ? -1 : 1);
+    } else if (button === PAD_LEFT || button === PAD_RIGHT) {
+      nudgeFocused(overlay, button === PAD_LEFT ? -1 : 1);
+    } else if (button === PAD_BACK) {
+      backOut(overlay);
+    } else if (button === PAD_CONFIRM) {
+      const el = document.activeElement;
+      if (overlay.contains(el) && (el instanceof HTMLButtonElement || el.type === 'checkbox')) el.click();
+      else if (overlay === menu) onUserFlap();
+      else moveFocus(overlay, 1);
+    }
+  }
+}
+
+// the overlay panel taking input, if any
+function activeOverlay() {
+  return [settings, leaderboard, achievementsPanel, pauseMenu, gameOver, courseCleared, menu].find((el) => !el.classList.contains('hidden')) || null;
+}
+
+// Escape / B: leave the overlay the way its Close / Resume button would; false if it has none
+function backOut(overlay) {
+  if (overlay === settings) {
+    cancelRebind();
+    leaveSettings();
+  } else if (overlay === leaderboard) {
+    btnBoardClose.click();
+  } else if (overlay === achievementsPanel) {
+    btnAchievementsClose.click();
+  } else if (overlay === pauseMenu) {
+    resumeGame();
+  } else {
+    return false;
+  }
+  return true;
+}
+
+// audio may only start from a user gesture; the first one unlocks it
+window.addEventListener('pointerdown', () => mixer.unlock());
+window.addEventListener('keydown', () => mixer.unlock());
+
+// leaving the tab or window pauses a live game
+document.addEventListener('visibilitychange', () => {
+  if (document.hidden) pauseGame();
+});
+window.addEventListener('blur', () => pauseGame());
+
 /* -------------------------
    Menu & UI wiring
    ------------------------- */
 btnNew.addEventListener('click', () => startNewGameSequence());
+btnVersus.addEventListener('click', () => startNewGameSequence('versus'));
+btnDaily.addEventListener('click', () => startNewGameSequence('daily'));
+btnEditor.addEventListener('click', () => openEditor());
 btnSettings.addEventListener('click', () => {
+  // show what is saved, discarding unsaved edits from a previous visit
+  writeSettingsInputs(saveData.settings);
   menu.classList.add('hidden');
   settings.classList.remove('hidden');
 });
+btnLeaderboard.addEventListener('click', () => {
+  menu.classList.add('hidden');
+  showLeaderboard();
+});
+btnAchievements.addEventListener('click', () => {
+  menu.classList.add('hidden');
+  showAchievements();
+});
+btnAchievementsClose.addEventListener('click', () => {
+  achievementsPanel.classList.add('hidden');
+  showMenu();
+});
 btnQuit.addEventListener('click', () => {
   // Quit: simply hide overlays and stop audio
   menu.classList.add('hidden');
-  audioBgm.pause();
+  mixer.stopMusic();
 });
 
 btnRestart.addEventListener('click', () => {
   gameOver.classList.add('hidden');
-  startNewGameSequence();
+  hideInitials();
+  restartRun();
 });
+btnEditCourse.addEventListener('click', () => openEditor());
+btnClearedAgain.addEventListener('click', () => {
+  courseCleared.classList.add('hidden');
+  restartRun();
+});
+btnClearedEdit.addEventListener('click', () => openEditor());
+btnClearedMenu.addEventListener('click', () => showMenu());
 btnMenu.addEventListener('click', () => {
   gameOver.classList.add('hidden');
+  hideInitials();
+  showMenu();
+});
+btnShareDaily.addEventListener('click', () => {
+  if (!lastDaily) return;
+  const text = dailyShareText(lastDaily.stamp, lastDaily.score);
+  copyText(text).then(() => {
+    btnShareDaily.textContent = 'Copied!';
+    setTimeout(() => { btnShareDaily.textContent = 'Copy result'; }, 1500);
+  }).catch(() => prompt('Copy your result:', text));
+});
+initialsForm.addEventListener('submit', (e) => {
+  e.preventDefault();
+  submitInitials();
+});
+initialsInput.addEventListener('input', () => {
+  initialsInput.value = cleanInitials(initialsInput.value);
+});
+
+boardSelect.addEventListener('change', () => renderLeaderboard());
+btnBoardExport.addEventListener('click', () => {
+  const data = { exported: localDateStamp(), leaderboards: saveData.leaderboards };
+  downloadText('ancient-pillars-leaderboards.json', JSON.stringify(data, null, 2));
+});
+btnBoardClear.addEventListener('click', () => {
+  const key = boardSelect.value;
+  if (!saveData.leaderboards[key] || !confirm(`Clear the ${boardLabel(key)} leaderboard?`)) return;
+  delete saveData.leaderboards[key];
+  writeSaveData(saveData);
+  showLeaderboard();
+});
+btnBoardClose.addEventListener('click', () => {
+  leaderboard.classList.add('hidden');
   showMenu();
 });
 
+btnPause.addEventListener('click', () => pauseGame());
+btnResume.addEventListener('click', () => resumeGame());
+btnPauseRestart.addEventListener('click', () => {
+  pauseMenu.classList.add('hidden');
+  restartRun();
+});
+btnPauseSettings.addEventListener('click', () => {
+  settingsFromPause = true;
+  writeSettingsInputs(saveData.settings);
+  pauseMenu.classList.add('hidden');
+  settings.classList.remove('hidden');
+});
+btnPauseMenu.addEventListener('click', () => {
+  pauseMenu.classList.add('hidden');
+  mixer.stopMusic();
+  showMenu();
+});
+
+btnWatchLast.addEventListener('click', () => lastReplay && watchReplay(lastReplay, game));
+btnWatchBest.addEventListener('click', () => {
+  const replay = bestReplays[game.difficulty];
+  if (replay) watchReplay(replay, game);
+});
+btnRaceBest.addEventListener('click', () => {
+  const replay = bestReplays[game.difficulty];
+  if (!replay) return;
+  gameOver.classList.add('hidden');
+  hideInitials();
+  startNewGameSequence('classic', replay);
+});
+btnImportReplay.addEventListener('click', () => replayFile.click());
+btnMenuReplay.addEventListener('click', () => replayFile.click());
+replayFile.addEventListener('change', () => {
+  const file = replayFile.files[0];
+  replayFile.value = '';
+  if (!file) return;
+  // return to the game-over panel if that is where the import started
+  const returnTo = gameOver.classList.contains('hidden') ? null : game;
+  file.text().then((text) => {
+    watchReplay(decodeReplay(text), returnTo);
+  }).catch((err) => {
+    alert(`Could not load replay: ${err.message}`);
+  });
+});
+
+btnReplayPlay.addEventListener('click', () => toggleReplayPlayback());
+replaySpeed.addEventListener('change', () => {
+  if (game && game.player && game.timeScale > 0) game.timeScale = parseFloat(replaySpeed.value);
+});
+replayScrub.addEventListener('input', () => {
+  if (!game || !game.player) return;
+  game.silent = true;
+  game.player.seek(parseInt(replayScrub.value, 10));
+  game.silent = false;
+  game.effects.clear();
+  hudScore.textContent = game.score;
+});
+btnReplayExport.addEventListener('click', () => {
+  if (!game || !game.player) return;
+  const replay = game.player.replay;
+  downloadText(`ancient-pillars-replay-${replay.seed}-${replay.score}.json`, encodeReplay(replay));
+});
+btnReplayClose.addEventListener('click', () => closeReplay());
+
 saveSettings.addEventListener('click', () => {
   applySettings();
-  settings.classList.add('hidden');
-  showMenu();
+  saveData.settings = readSettingsInputs();
+  writeSaveData(saveData);
+  updateBestDisplays();
+  updateControlHints();
+  leaveSettings();
+});
+closeSettings.addEventListener('click', () => leaveSettings());
+
+/* -------------------------
+   Controls: rebinding keys in the settings overlay
+   ------------------------- */
+bindButtons.forEach((button) => {
+  button.addEventListener('click', () => {
+    cancelRebind();
+    rebinding = { action: button.dataset.action, slot: parseInt(button.dataset.slot, 10), button };
+    button.textContent = 'Press a key…';
+    button.classList.add('listening');
+  });
 });
-closeSettings.addEventListener('click', () => {
+btnResetControls.addEventListener('click', () => {
+  cancelRebind();
+  editControls = defaultSaveData().settings.controls;
+  renderBindings();
+});
+
+// while a bind button listens, the next key goes to it (capture phase, before any other handler)
+window.addEventListener('keydown', (e) => {
+  if (!rebinding) return;
+  if (e.code === 'Tab') {
+    cancelRebind();
+    return;
+  }
+  e.preventDefault();
+  e.stopPropagation();
+  if (e.code !== 'Escape') {
+    const code = e.code === 'Backspace' || e.code === 'Delete' ? '' : e.code;
+    editControls = rebindKey(editControls, rebinding.action, rebinding.slot, code);
+  }
+  rebinding = null;
+  renderBindings();
+}, true);
+
+function cancelRebind() {
+  if (!rebinding) return;
+  rebinding = null;
+  renderBindings();
+}
+
+function renderBindings() {
+  bindButtons.forEach((button) => {
+    button.textContent = keyLabel(editControls[button.dataset.action][button.dataset.slot]);
+    button.classList.remove('listening');
+  });
+}
+
+/* hints on the menu and pause panels name the keys actually bound */
+function updateControlHints() {
+  const { flap, pause } = saveData.settings.controls;
+  menuHint.textContent = `Click or press ${describeBinding(flap)} to start control`;
+  pauseHint.textContent = `Press ${describeBinding(pause)} to resume`;
+}
+
+function leaveSettings() {
+  cancelRebind();
   settings.classList.add('hidden');
-  showMenu();
+  if (settingsFromPause) {
+    settingsFromPause = false;
+    pauseMenu.classList.remove('hidden');
+  } else {
+    showMenu();
+  }
+}
+
+/* -------------------------
+   Course editor: the toolbar around editor.js, the saved working course and course runs
+   ------------------------- */
+btnEditAdd.addEventListener('click', () => courseEditor.add());
+btnEditDelete.addEventListener('click', () => courseEditor.remove());
+editType.addEventListener('change', () => courseEditor.update({ type: editType.value }));
+editGap.addEventListener('change', () => courseEditor.update({ gap: parseFloat(editGap.value) }));
+// blank: keep whatever speed is in effect
+editSpeed.addEventListener('change', () => courseEditor.update({ speed: editSpeed.value === '' ? null : parseFloat(editSpeed.value) }));
+editPickup.addEventListener('change', () => courseEditor.update({ pickup: editPickup.value || null }));
+editName.addEventListener('change', () => courseEditor.configure({ name: editName.value }));
+editDifficulty.addEventListener('change', () => courseEditor.configure({ difficulty: editDifficulty.value }));
+editStartSpeed.addEventListener('change', () => {
+  courseEditor.configure({ speed: editStartSpeed.value === '' ? null : parseFloat(editStartSpeed.value) });
+});
+editFinish.addEventListener('change', () => courseEditor.configure({ finish: editFinish.checked }));
+btnEditTest.addEventListener('click', () => startCourseRun(sliceCourse(courseEditor.course, courseEditor.selected)));
+btnEditPlay.addEventListener('click', () => startCourseRun(sliceCourse(courseEditor.course, 0)));
+btnEditExport.addEventListener('click', () => {
+  const course = courseEditor.course;
+  const slug = course.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'course';
+  downloadText(`ancient-pillars-course-${slug}.json`, encodeCourse(course));
+});
+btnEditImport.addEventListener('click', () => courseFile.click());
+courseFile.addEventListener('change', () => {
+  const file = courseFile.files[0];
+  courseFile.value = '';
+  if (!file) return;
+  file.text().then((text) => {
+    courseEditor = createCourseEditor(decodeCourse(text));
+    saveCourse(courseEditor);
+  }).catch((err) => {
+    alert(`Could not load course: ${err.message}`);
+  });
+});
+btnEditClose.addEventListener('click', () => closeEditor());
+
+canvas.addEventListener('pointerdown', (e) => {
+  if (!editing) return;
+  canvas.setPointerCapture(e.pointerId);
+  const { x, y } = canvasPoint(e);
+  courseEditor.pointerDown(x, y);
+});
+canvas.addEventListener('pointermove', (e) => {
+  if (!editing) return;
+  const { x, y } = canvasPoint(e);
+  courseEditor.pointerMove(x, y);
 });
+canvas.addEventListener('pointerup', () => editing && courseEditor.pointerUp());
+canvas.addEventListener('pointercancel', () => editing && courseEditor.pointerUp());
+canvas.addEventListener('wheel', (e) => {
+  if (!editing) return;
+  e.preventDefault();
+  courseEditor.scrollBy(e.deltaX || e.deltaY);
+}, { passive: false });
+
+// pointer position in canvas pixels, whatever size the canvas is shown at
+function canvasPoint(e) {
+  const rect = canvas.getBoundingClientRect();
+  return { x: (e.clientX - rect.left) / rect.width * BASE_WIDTH, y: (e.clientY - rect.top) / rect.height * BASE_HEIGHT };
+}
+
+// Delete removes the selected pillar, left/right select, up/down move its gap, Escape leaves
+function handleEditorKey(e) {
+  if (e.target instanceof HTMLInputElement || e.target instanceof HTMLSelectElement) return;
+  const selected = courseEditor.selected;
+  switch (e.code) {
+    case 'Delete':
+    case 'Backspace':
+      courseEditor.remove();
+      break;
+    case 'ArrowLeft':
+    case 'ArrowRight':
+      courseEditor.select(selected + (e.code === 'ArrowLeft' ? -1 : 1));
+      syncEditorBar();
+      break;
+    case 'ArrowUp':
+    case 'ArrowDown':
+      courseEditor.nudge(e.code === 'ArrowUp' ? -1 : 1);
+      break;
+    case 'Escape':
+      closeEditor();
+      break;
+    default:
+      return;
+  }
+  e.preventDefault();
+}
+
+function createCourseEditor(course) {
+  return new CourseEditor(course, { settings: birdSettings(), onChange: saveCourse });
+}
+
+/* the saved working course, or the sample when there is none (or it no longer reads) */
+function loadCourse() {
+  if (saveData.course) {
+    try {
+      return decodeCourse(saveData.course);
+    } catch (e) {
+      // written by a build with a different course format: start over from the sample
+    }
+  }
+  return sampleCourse();
+}
+
+// every edit is saved straight away
+function saveCourse(editor) {
+  saveData.course = encodeCourse(editor.course);
+  writeSaveData(saveData);
+  syncEditorBar();
+}
+
+function syncEditorBar() {
+  const course = courseEditor.course;
+  const o = courseEditor.obstacle;
+  editType.value = o.type;
+  editGap.value = o.gap;
+  editSpeed.value = o.speed == null ? '' : o.speed;
+  editPickup.value = o.pickup || '';
+  editName.value = course.name;
+  editDifficulty.value = course.difficulty;
+  editStartSpeed.value = course.speed == null ? '' : course.speed;
+  editFinish.checked = course.finish;
+  btnEditDelete.disabled = course.obstacles.length < 2;
+  btnEditAdd.disabled = course.obstacles.length >= COURSE_MAX_OBSTACLES;
+}
+
+function openEditor() {
+  if (!courseEditor) courseEditor = createCourseEditor(loadCourse());
+  const look = birdSettings();
+  Object.assign(courseEditor.bird, { color: look.color, eyeSize: look.eyeSize, skin: look.skin });
+  game = null;
+  editing = true;
+  mixer.stopMusic();
+  for (let el of [menu, gameOver, courseCleared, pauseMenu]) el.classList.add('hidden');
+  hideInitials();
+  hud.classList.add('hidden');
+  editorBar.classList.remove('hidden');
+  syncEditorBar();
+}
+
+function hideEditor() {
+  editing = false;
+  editorBar.classList.add('hidden');
+  hud.classList.remove('hidden');
+}
+
+function closeEditor() {
+  hideEditor();
+  showMenu();
+}
+
+// course runs have no ghost and no records; the seed comes from the course, so a course always plays the same
+function startCourseRun(course) {
+  hideEditor();
+  menu.classList.add('hidden');
+  btnPause.classList.remove('hidden');
+  const seed = seedFromText(encodeCourse(course));
+  game = new Game({ mode: 'course', course, seed, hitbox: hitboxInput.value, assist: assistInput.value, settings: birdSettings() });
+  hudGhostScore.classList.add('hidden');
+  showPlayerScores(game);
+  game.startCountdown(() => game.start());
+}
+
+// crashed on a course: how far the bird got; coins picked up on hand-made courses aren't banked
+function showCourseResult(sim) {
+  showUnrecordedResult(sim, 'not banked on custom courses', `Course: ${sim.course.name}`);
+}
+
+// a result that leaves no trace: no records, leaderboard, replay or banked coins
+function showUnrecordedResult(sim, coinsNote, detail) {
+  finalWinner.classList.add('hidden');
+  finalBest.classList.add('hidden');
+  finalScore.textContent = `Score: ${sim.score}`;
+  finalCoins.textContent = `Coins: ${sim.coins} (${coinsNote})`;
+  finalSeed.textContent = detail;
+  dailyResult.classList.add('hidden');
+  btnWatchLast.disabled = true;
+  btnWatchBest.disabled = btnRaceBest.disabled = true;
+  hideInitials();
+  rankNote.classList.add('hidden');
+  gameOver.classList.remove('hidden');
+  announce(`Game over. ${finalScore.textContent}`);
+}
+
+function showCourseCleared(sim) {
+  btnPause.classList.add('hidden');
+  clearedName.textContent = sim.course.name;
+  clearedScore.textContent = `Score: ${sim.score} · Coins: ${sim.coins}`;
+  clearedTime.textContent = `Time: ${formatTicks(sim.tick)}`;
+  courseCleared.classList.remove('hidden');
+  announce(`Course cleared. ${clearedScore.textContent}`);
+}
+
+/* -------------------------
+   Accessibility: screen reader announcements and focus that follows the overlays
+   ------------------------- */
+// read out by screen readers through the polite live region; the HUD itself is only drawn
+function announce(text) {
+  announcer.textContent = text;
+}
+
+const focusReturn = new Map(); // overlay -> element that had focus when it opened
+
+// overlays are opened and closed by toggling .hidden all over this file, so watch for that rather than wrap every call
+function watchOverlayFocus(overlays) {
+  const observer = new MutationObserver((records) => {
+    const before = new Map(); // overlay -> hidden before this batch
+    for (let r of records) {
+      if (!before.has(r.target)) before.set(r.target, /\bhidden\b/.test(r.oldValue || ''));
+    }
+    const changed = Array.from(before.keys()).filter((el) => before.get(el) !== el.classList.contains('hidden'));
+    const from = document.activeElement; // the opener, before closing moves focus
+    // closing first, so an overlay shown again underneath (the menu behind settings) finds focus already back
+    for (let el of changed) if (el.classList.contains('hidden')) overlayClosed(el);
+    for (let el of changed) if (!el.classList.contains('hidden')) overlayOpened(el, from);
+  });
+  for (let el of overlays) observer.observe(el, { attributes: true, attributeFilter: ['class'], attributeOldValue: true });
+}
+
+// focus moves to the panel itself, so a key held for flapping doesn't press a button on the way in
+function overlayOpened(overlay, from) {
+  if (from && from !== document.body && !overlay.contains(from)) focusReturn.set(overlay, from);
+  if (!overlay.contains(document.activeElement)) overlay.firstElementChild.focus();
+}
+
+function overlayClosed(overlay) {
+  const back = focusReturn.get(overlay);
+  focusReturn.delete(overlay);
+  const focus = document.activeElement;
+  if (focus && focus !== document.body && !overlay.contains(focus)) return; // already moved on
+  if (back && back.isConnected && !back.closest('.hidden')) back.focus();
+  else if (focus && overlay.contains(focus)) focus.blur();
+}
+
+/* -------------------------
+   Pause / resume
+   ------------------------- */
+function pauseGame() {
+  if (!game || !game.pause()) return;
+  pauseMenu.classList.remove('hidden');
+  btnResume.focus();
+  announce('Paused');
+}
+
+function resumeGame() {
+  if (!game || !game.paused) return;
+  pauseMenu.classList.add('hidden');
+  game.resume();
+}
+
+// Escape / P: replays toggle playback; live games pause or resume (not while settings are open)
+function togglePause() {
+  if (!game) return;
+  if (game.player) {
+    toggleReplayPlayback();
+  } else if (game.paused) {
+    if (!pauseMenu.classList.contains('hidden')) resumeGame();
+  } else {
+    pauseGame();
+  }
+}
+
+/* -------------------------
+   Replay viewer
+   ------------------------- */
+function watchReplay(replay, returnTo = null) {
+  replayReturn = returnTo;
+  menu.classList.add('hidden');
+  gameOver.classList.add('hidden');
+  game = new Game({ replay, settings: birdSettings() });
+  game.timeScale = parseFloat(replaySpeed.value);
+  showPlayerScores(game);
+  hudGhostScore.classList.add('hidden');
+  btnPause.classList.add('hidden');
+  replayScrub.max = replay.ticks;
+  replayBar.classList.remove('hidden');
+  syncReplayBar();
+}
+
+function closeReplay() {
+  replayBar.classList.add('hidden');
+  const back = replayReturn;
+  replayReturn = null;
+  if (back) {
+    game = back;
+    showPlayerScores(game);
+    gameOver.classList.remove('hidden');
+  } else {
+    showMenu();
+  }
+}
+
+function toggleReplayPlayback() {
+  if (!game || !game.player) return;
+  if (game.player.done) {
+    // pressing play at the end starts over
+    game.player.rewind();
+    game.effects.clear();
+    hudScore.textContent = '0';
+    game.timeScale = parseFloat(replaySpeed.value);
+  } else {
+    game.timeScale = game.timeScale > 0 ? 0 : parseFloat(replaySpeed.value);
+  }
+  syncReplayBar();
+}
+
+function syncReplayBar() {
+  const player = game.player;
+  const playing = game.timeScale > 0 && !player.done;
+  btnReplayPlay.textContent = playing ? 'Pause' : 'Play';
+  replayScrub.value = player.tick;
+  replayTime.textContent = `${formatTicks(player.tick)} / ${formatTicks(player.replay.ticks)}`;
+}
 
 /* -------------------------
    Settings application
    ------------------------- */
 function applySettings() {
-  // apply bird color and eye size to current game and menu demo
-  const color = birdColorInput.value;
-  const eyeSize = parseInt(eyeSizeInput.value, 10);
+  // apply bird color, eye size and skin to current game and menu demo
+  const look = birdSettings();
   if (game) {
-    game.bird.color = color;
-    game.bird.eyeSize = eyeSize;
+    game.sim.birds.forEach((bird, i) => {
+      bird.color = i === 0 ? look.color : look.color2;
+      bird.eyeSize = look.eyeSize;
+      bird.skin = i === 0 ? look.skin : look.skin2;
+    });
   }
   // audio volumes
-  audioBgm.volume = parseFloat(musicVolInput.value);
+  mixer.setVolumes({ sfx: parseFloat(sfxVolInput.value), music: parseFloat(musicVolInput.value), muted: muteAllInput.checked });
+  // accessibility: colours and motion everywhere, game speed from the next tick
+  worldStyle.scheme = colorSchemeInput.value;
+  worldStyle.still = reducedMotionEnabled();
+  document.documentElement.classList.toggle('reduce-motion', worldStyle.still);
+  for (let kind of Object.keys(powerupChips)) powerupChips[kind].el.style.setProperty('--chip-color', pickupColor(kind));
+  if (game) {
+    game.effects.reducedMotion = reducedMotionEnabled();
+    if (game.live) game.setSpeed(gameSpeed());
+  }
+}
+
+/* the setting, or the system-wide preference */
+function reducedMotionEnabled() {
+  const system = typeof matchMedia === 'function' && matchMedia('(prefers-reduced-motion: reduce)').matches;
+  return reducedMotionInput.checked || system;
+}
+
+function gameSpeed() { return parseFloat(gameSpeedInput.value); }
+
+/* settings overlay <-> saved settings */
+function readSettingsInputs() {
+  return {
+    birdColor: birdColorInput.value,
+    bird2Color: bird2ColorInput.value,
+    eyeSize: parseInt(eyeSizeInput.value, 10),
+    skin: skinInput.value,
+    sfxVol: parseFloat(sfxVolInput.value),
+    musicVol: parseFloat(musicVolInput.value),
+    muteAll: muteAllInput.checked,
+    seed: seedInput.value.trim(),
+    ghostRace: ghostRaceInput.checked,
+    difficulty: difficultyInput.value,
+    hitbox: hitboxInput.value,
+    assist: assistInput.value,
+    reducedMotion: reducedMotionInput.checked,
+    colorScheme: colorSchemeInput.value,
+    gameSpeed: gameSpeed(),
+    oneSwitch: oneSwitchInput.checked,
+    controls: editControls
+  };
+}
+
+function writeSettingsInputs(s) {
+  birdColorInput.value = s.birdColor;
+  bird2ColorInput.value = s.bird2Color;
+  eyeSizeInput.value = s.eyeSize;
+  renderSkinOptions();
+  // a skin that is locked (or gone, or a sprite sheet that was never loaded) shows as the default
+  const skin = skinInput.querySelector(`option[value="${s.skin}"]:not(:disabled)`);
+  skinInput.value = skin ? s.skin : DEFAULT_SKIN;
+  sfxVolInput.value = s.sfxVol;
+  musicVolInput.value = s.musicVol;
+  muteAllInput.checked = s.muteAll;
+  seedInput.value = s.seed;
+  ghostRaceInput.checked = s.ghostRace;
+  difficultyInput.value = s.difficulty;
+  hitboxInput.value = s.hitbox;
+  assistInput.value = s.assist;
+  reducedMotionInput.checked = s.reducedMotion;
+  colorSchemeInput.value = s.colorScheme;
+  // a speed between the offered steps (hand-edited save) shows as the nearest one
+  gameSpeedInput.value = nearestOption(gameSpeedInput, s.gameSpeed);
+  oneSwitchInput.checked = s.oneSwitch;
+  editControls = copyControls(s.controls);
+  renderBindings();
+}
+
+/* value of the select's numeric option closest to v */
+function nearestOption(select, v) {
+  const values = Array.from(select.options, (o) => o.value);
+  return values.reduce((best, o) => (Math.abs(o - v) < Math.abs(best - v) ? o : best));
+}
+
+/* bird look for newly created games, read from the settings inputs; body is the skin's hitbox shape */
+function birdSettings() {
+  const skin = skinInput.value || DEFAULT_SKIN;
+  // a sprite sheet can't take player two's colour, so in versus they keep the default skin
+  const skin2 = skinById(skin).sheet ? DEFAULT_SKIN : skin;
+  return {
+    color: birdColorInput.value,
+    color2: bird2ColorInput.value,
+    eyeSize: parseInt(eyeSizeInput.value, 10),
+    skin,
+    skin2,
+    body: skinBody(skinById(skin)),
+    body2: skinBody(skinById(skin2))
+  };
 }
 
 /* -------------------------
    Start new game sequence (countdown -> start)
    ------------------------- */
-function startNewGameSequence() {
+// mode: 'classic', 'daily' for today's date-seeded course, or 'versus' for two players on one screen (no ghost, no records);
+// race: a best replay to race on its own course, whatever the seed setting says
+function startNewGameSequence(mode = 'classic', race = null) {
   // hide menu
   menu.classList.add('hidden');
+  btnPause.classList.remove('hidden');
   // reset game instance
-  game = new Game({ auto: false, menuMode: false, settings: { color: birdColorInput.value, eyeSize: parseInt(eyeSizeInput.value) } });
-  // show countdown then start
+  // a seed typed in settings replays that exact course; blank means a fresh random one
+  const daily = mode === 'daily' ? localDateStamp() : null;
+  const seed = daily ? dailySeed(daily) : race ? race.seed : parseSeed(seedInput.value);
+  const difficulty = daily ? DAILY_DIFFICULTY : race ? race.difficulty : difficultyInput.value;
+  const ghost = race || (mode === 'versus' ? null : ghostFor(seed, difficulty));
+  // the daily challenge is the same for everyone, so it never takes the forgiving hitbox or an assist
+  const hitbox = daily ? 'exact' : hitboxInput.value;
+  const assist = daily || mode === 'versus' ? 'off' : assistInput.value;
+  game = new Game({ auto: false, menuMode: false, mode, seed, difficulty, ghost, daily, hitbox, assist, settings: birdSettings() });
+  hudGhostScore.textContent = 'Best 0';
+  hudGhostScore.classList.toggle('hidden', !ghost);
+  showPlayerScores(game);
+  // show countdown then start; a daily attempt counts once it gets under way
   game.startCountdown(() => {
+    if (daily) {
+      startDailyAttempt(saveData, daily);
+      writeSaveData(saveData);
+      updateDailyDisplay();
+    }
     game.start();
   });
 }
 
+// the same run again: a course from the same obstacle, a race against the (maybe new) best, anything else as a
+// new game of its mode
+function restartRun() {
+  if (game.mode === 'course') startCourseRun(game.sim.course);
+  else startNewGameSequence(game.mode, game.mode === 'classic' && game.sim.ghostReplay ? bestReplays[game.difficulty] || null : null);
+}
+
 /* -------------------------
    Show menu with background demo
    ------------------------- */
 function showMenu() {
   // create a menu-mode game that runs in background with auto control
-  game = new Game({ auto: true, menuMode: true, settings: { color: birdColorInput.value, eyeSize: parseInt(eyeSizeInput.value) } });
-  game.running = true; // run in background
+  game = new Game({ auto: true, menuMode: true, settings: birdSettings() });
   menu.classList.remove('hidden');
   settings.classList.add('hidden');
   gameOver.classList.add('hidden');
+  courseCleared.classList.add('hidden');
   hudScore.textContent = '0';
+  hudGhostScore.classList.add('hidden');
+  btnPause.classList.add('hidden');
+  showPlayerScores(game);
+  updateDailyDisplay(); // the date may have changed since the last visit
+}
+
+/* -------------------------
+   Versus: a score box per player, underlined in the bird's colour, and the winner on game over
+   ------------------------- */
+function showPlayerScores(g) {
+  hudScores.forEach((el, i) => {
+    const bird = g.versus ? g.sim.birds[i] : null;
+    el.textContent = `${bird ? bird.score : g.score}`;
+    el.classList.toggle('hidden', i > 0 && !bird);
+    el.classList.toggle('player-score', !!bird);
+    if (bird) el.style.setProperty('--player-color', bird.color);
+  });
+}
+
+// help: Game.help; a helped round banks no coins
+function showVersusResult(sim, help = []) {
+  const winner = sim.winner();
+  finalWinner.textContent = winner < 0 ? 'It\'s a draw!' : `Player ${winner + 1} wins!`;
+  finalWinner.style.color = winner < 0 ? '' : sim.birds[winner].color;
+  finalWinner.classList.remove('hidden');
+  finalScore.textContent = sim.birds.map((b, i) => `P${i + 1}: ${b.score}`).join(' · ');
+  // coins still count towards the saved total; scores stay out of the records
+  if (!help.length) {
+    saveData.coins += sim.coins;
+    if (sim.coins > 0) writeSaveData(saveData);
+    checkSkins();
+  }
+  updateBestDisplays();
+  finalCoins.textContent = help.length ? `Coins: ${sim.coins} (not banked)` : `Coins: +${sim.coins} (${saveData.coins} total)`;
+  finalSeed.textContent = [`Seed: ${sim.seed}`, ...help].join(' · ');
+  finalBest.classList.add('hidden');
+  dailyResult.classList.add('hidden');
+  btnWatchLast.disabled = true;
+  btnWatchBest.disabled = btnRaceBest.disabled = true;
+  hideInitials();
+  rankNote.classList.add('hidden');
+  gameOver.classList.remove('hidden');
+  announce(`Game over. ${finalWinner.textContent} ${finalScore.textContent}`);
+}
+
+/* -------------------------
+   Daily challenge: attempts, best and streak (storage.js) and a result to share
+   ------------------------- */
+function updateDailyDisplay() {
+  const today = localDateStamp();
+  const day = saveData.daily.days[today];
+  const played = day ? `${plural(day.attempts, 'attempt')}, best ${day.best}` : 'not played yet';
+  menuDaily.textContent = `Daily challenge: ${played} · streak ${plural(dailyStreak(saveData, today), 'day')}`;
+}
+
+// ranked: false for a run that can't set the day's best (Game.ranked)
+function showDailyResult(stamp, score, ranked = true) {
+  if (ranked && recordDailyScore(saveData, stamp, score)) writeSaveData(saveData);
+  const day = saveData.daily.days[stamp];
+  lastDaily = { stamp, score };
+  hideInitials();
+  rankNote.classList.add('hidden');
+  finalDaily.textContent = `Daily ${stamp} · attempt ${day.attempts} · best today ${day.best}`;
+  dailyResult.classList.remove('hidden');
+  updateDailyDisplay();
+}
+
+function dailyShareText(stamp, score) {
+  const day = saveData.daily.days[stamp];
+  return [
+    `Ancient Pillars daily challenge ${stamp}`,
+    `Score ${score} (best ${day.best} in ${plural(day.attempts, 'attempt')})`,
+    `Streak: ${plural(dailyStreak(saveData, stamp), 'day')}`
+  ].join('\n');
+}
+
+/* '1 day', '3 days' */
+function plural(n, word) { return `${n} ${word}${n === 1 ? '' : 's'}`; }
+
+/* -------------------------
+   Records: best score and best replay, persisted through storage.js
+   ------------------------- */
+/* records are kept per difficulty; best: false only banks the coins (an unranked run, see Game.ranked) */
+function recordRun(replay, coins = 0, best = true) {
+  const d = replay.difficulty;
+  let changed = coins > 0;
+  saveData.coins += coins;
+  if (best && replay.score > (saveData.bestScores[d] || 0)) {
+    saveData.bestScores[d] = replay.score;
+    changed = true;
+  }
+  if (best && (!bestReplays[d] || replay.score > bestReplays[d].score)) {
+    bestReplays[d] = replay;
+    saveData.bestReplays[d] = encodeReplay(replay);
+    changed = true;
+  }
+  if (changed) writeSaveData(saveData);
+  checkSkins();
+  updateBestDisplays(d);
+}
+
+// menu shows the selected difficulty; the game-over panel the one just played
+function updateBestDisplays(played = saveData.settings.difficulty) {
+  const selected = saveData.settings.difficulty;
+  menuBest.textContent = `Best (${DIFFICULTY_PRESETS[selected].label}): ${saveData.bestScores[selected] || 0}`;
+  finalBest.textContent = `Best (${DIFFICULTY_PRESETS[played].label}): ${saveData.bestScores[played] || 0}`;
+  menuCoins.textContent = `Coins: ${saveData.coins}`;
+}
+
+/* -------------------------
+   Leaderboards: initials entry after a qualifying run and the tables overlay
+   ------------------------- */
+function promptInitials(key, score) {
+  rankNote.classList.add('hidden');
+  if (!qualifiesForLeaderboard(saveData.leaderboards[key] || [], score)) {
+    hideInitials();
+    return;
+  }
+  pendingEntry = { key, score };
+  initialsInput.value = saveData.lastInitials;
+  initialsForm.classList.remove('hidden');
+  // a one-switch player can't type, so the switch is left to restart (the form is still there to Tab to)
+  if (!saveData.settings.oneSwitch) initialsInput.focus();
+}
+
+function submitInitials() {
+  const name = cleanInitials(initialsInput.value);
+  if (!pendingEntry || !name) return;
+  const { key, score } = pendingEntry;
+  const rank = addLeaderboardEntry(saveData, key, { name, score, date: localDateStamp() });
+  saveData.lastInitials = name;
+  writeSaveData(saveData);
+  hideInitials();
+  if (rank) {
+    rankNote.textContent = `#${rank} on the ${boardLabel(key)} leaderboard`;
+    rankNote.classList.remove('hidden');
+  }
+}
+
+function hideInitials() {
+  pendingEntry = null;
+  initialsForm.classList.add('hidden');
+}
+
+function cleanInitials(text) { return text.toUpperCase().replace(/[^A-Z0-9]/g, '').slice(0, 3); }
+
+/* 'classic/normal' -> 'Classic · Normal' */
+function boardLabel(key) {
+  return key.split('/').map(w => w.charAt(0).toUpperCase() + w.slice(1)).join(' · ');
+}
+
+function showLeaderboard() {
+  // always offer the default table, plus every table that has entries
+  const keys = Object.keys(saveData.leaderboards);
+  const base = leaderboardKey('classic', 'normal');
+  if (!keys.includes(base)) keys.unshift(base);
+  const selected = keys.includes(boardSelect.value) ? boardSelect.value : keys[0];
+  boardSelect.innerHTML = '';
+  for (let key of keys) boardSelect.add(new Option(boardLabel(key), key, false, key === selected));
+  renderLeaderboard();
+  leaderboard.classList.remove('hidden');
+}
+
+function renderLeaderboard() {
+  const entries = saveData.leaderboards[boardSelect.value] || [];
+  const body = boardTable.tBodies[0];
+  body.innerHTML = '';
+  if (!entries.length) {
+    const row = body.insertRow();
+    const cell = row.insertCell();
+    cell.colSpan = 4;
+    cell.className = 'empty';
+    cell.textContent = 'No scores yet';
+  }
+  entries.forEach((entry, i) => {
+    const row = body.insertRow();
+    for (let text of [`${i + 1}`, entry.name, `${entry.score}`, entry.date]) row.insertCell().textContent = text;
+  });
+  btnBoardClear.disabled = !entries.length;
+}
+
+/* -------------------------
+   Achievements and lifetime stats: rules in achievements.js, totals in storage.js
+   ------------------------- */
+// unlock whatever the run has earned so far, with a toast for each
+function checkAchievements(run) {
+  const earned = earnedAchievements(saveData, run);
+  if (!earned.length) return;
+  const today = localDateStamp();
+  for (let a of earned) {
+    unlockAchievement(saveData, a.id, today);
+    showToast('Achievement unlocked', a.label);
+  }
+  writeSaveData(saveData);
+}
+
+// a live run is over (crashed or cleared): count it once, then check what it completed
+function finishRun(run) {
+  if (!run || run.finished) return;
+  addRunStats(saveData, run);
+  run.finished = true;
+  writeSaveData(saveData);
+  checkAchievements(run);
+}
+
+function showToast(title, text) {
+  const el = document.createElement('div');
+  el.className = 'toast';
+  const heading = document.createElement('strong');
+  heading.textContent = title;
+  const body = document.createElement('span');
+  body.textContent = text;
+  el.append(heading, body);
+  toasts.appendChild(el);
+  setTimeout(() => el.remove(), TOAST_MS);
+}
+
+function showAchievements() {
+  const stats = saveData.stats;
+  const unlocked = ACHIEVEMENTS.filter((a) => saveData.achievements[a.id]).length;
+  const rows = [
+    ['Games played', stats.games],
+    ['Total flaps', stats.flaps],
+    ['Pillars passed', stats.pillars],
+    ['Longest run', formatTicks(stats.longestTicks)],
+    ['Crashed into pillars', stats.deaths.pillar],
+    ['Hit the ground', stats.deaths.floor],
+    ['Hit the sky', stats.deaths.ceiling],
+    ['Achievements', `${unlocked} / ${ACHIEVEMENTS.length}`]
+  ];
+  statsList.innerHTML = '';
+  for (let [label, value] of rows) {
+    const dt = document.createElement('dt');
+    dt.textContent = label;
+    const dd = document.createElement('dd');
+    dd.textContent = `${value}`;
+    statsList.append(dt, dd);
+  }
+  achievementList.innerHTML = '';
+  for (let a of ACHIEVEMENTS) {
+    const date = saveData.achievements[a.id];
+    const li = document.createElement('li');
+    li.className = date ? 'unlocked' : 'locked';
+    const label = document.createElement('strong');
+    label.textContent = a.label;
+    const description = document.createElement('span');
+    description.textContent = a.description;
+    const when = document.createElement('small');
+    when.textContent = date ? `Unlocked ${date}` : 'Locked';
+    li.append(label, description, when);
+    achievementList.appendChild(li);
+  }
+  achievementsPanel.classList.remove('hidden');
+  btnAchievementsClose.focus();
+}
+
+/* -------------------------
+   Skins: looks and unlock rules in skins.js; unlocked ids and the loaded sprite sheet are saved
+   ------------------------- */
+const SKIN_PREVIEW_FLAP_MS = 700; // one flap-and-fall cycle of the settings preview
+const previewBird = new Bird(0, 0);
+
+// unlock whatever the best scores and banked coins have earned, with a toast for each
+function checkSkins(toast = true) {
+  const earned = earnedSkins(saveData);
+  if (!earned.length) return;
+  const today = localDateStamp();
+  for (let skin of earned) {
+    unlockSkin(saveData, skin.id, today);
+    if (toast) showToast('Skin unlocked', skin.label);
+  }
+  writeSaveData(saveData);
+  renderSkinOptions();
+}
+
+// every skin, with the locked ones (and the sprite sheet until one is loaded) listed but not selectable
+function renderSkinOptions() {
+  const selected = skinInput.value;
+  skinInput.innerHTML = '';
+  for (let skin of SKINS) {
+    const option = document.createElement('option');
+    option.value = skin.id;
+    option.textContent = skin.label;
+    if (!isSkinUnlocked(saveData, skin)) {
+      option.disabled = true;
+      option.textContent = `${skin.label} (${skinRequirement(skin)})`;
+    } else if (skin.sheet && !customSheet) {
+      option.disabled = true;
+      option.textContent = `${skin.label} (load one below)`;
+    }
+    skinInput.appendChild(option);
+  }
+  if (selected) skinInput.value = selected;
+}
+
+// the bird as the settings stand, flapping in place (holding still with reduced motion)
+function drawSkinPreview(timestamp) {
+  const pctx = skinPreview.getContext('2d');
+  const t = worldStyle.still ? 0.5 : (timestamp % SKIN_PREVIEW_FLAP_MS) / SKIN_PREVIEW_FLAP_MS;
+  const look = birdSettings();
+  Object.assign(previewBird, { color: look.color, eyeSize: look.eyeSize, skin: look.skin });
+  previewBird.vy = FLAP_STRENGTH + (MAX_DROP_SPEED - FLAP_STRENGTH) * t;
+  pctx.clearRect(0, 0, skinPreview.width, skinPreview.height);
+  pctx.save();
+  pctx.translate(skinPreview.width/2, skinPreview.height/2 + 8);
+  pctx.scale(1.8, 1.8);
+  drawBird(pctx, previewBird);
+  pctx.restore();
+}
+
+btnLoadSkin.addEventListener('click', () => skinFile.click());
+skinFile.addEventListener('change', () => {
+  const file = skinFile.files[0];
+  skinFile.value = '';
+  if (!file) return;
+  const reader = new FileReader();
+  reader.onload = () => {
+    if (!isImageDataUrl(reader.result)) {
+      alert('Could not load sprite sheet: use a PNG, GIF or WebP image under 500 KB');
+      return;
+    }
+    // kept straight away, like an imported course; choosing it still waits for Save
+    if (!writeSkinSheet(reader.result)) alert('The sprite sheet could not be stored, so it is only kept until the page is closed');
+    useCustomSheet(reader.result);
+    renderSkinOptions();
+    skinInput.value = CUSTOM_SKIN;
+  };
+  reader.onerror = () => alert('Could not load sprite sheet');
+  reader.readAsDataURL(file);
+});
+
+/* -------------------------
+   Debug tools: overlay and tuning in debug.js, the panel is wired here
+   ------------------------- */
+const debugInputs = {}; // tunable key -> { row, input, output }
+
+function buildDebugPanel() {
+  for (let t of DEBUG_TUNABLES) {
+    const row = document.createElement('label');
+    row.className = 'debug-slider';
+    const name = document.createElement('span');
+    name.textContent = t.label;
+    const output = document.createElement('output');
+    const input = document.createElement('input');
+    Object.assign(input, { type: 'range', min: t.min, max: t.max, step: t.step });
+    input.addEventListener('input', () => {
+      debug.set(t.key, parseFloat(input.value), debugDifficulty());
+      applyDebug();
+    });
+    row.append(name, output, input);
+    debugSliders.appendChild(row);
+    debugInputs[t.key] = { row, input, output };
+  }
+}
+
+// sliders start from the preset of the game on screen
+function debugDifficulty() {
+  return game ? game.difficulty : difficultyInput.value;
+}
+
+function syncDebugPanel(difficulty = debugDifficulty()) {
+  for (let t of DEBUG_TUNABLES) {
+    const { row, input, output } = debugInputs[t.key];
+    const value = debug.value(t.key, difficulty);
+    input.value = value;
+    output.textContent = `${Math.round(value * 100) / 100}`;
+    row.classList.toggle('tuned', t.key in debug.tuning);
+  }
+  debugInvincible.checked = debug.invincible;
+  btnDebugFreeze.textContent = debug.frozen ? 'Resume' : 'Freeze';
+  btnDebugStep.disabled = !debug.frozen;
+}
+
+// the game on screen changes at once; once tuned, its run no longer counts
+function applyDebug() {
+  if (game && !game.player) {
+    debug.apply(game.sim);
+    if (game.sim.tuned) game.run = null;
+  }
+  syncDebugPanel();
+}
+
+function toggleDebug() {
+  debug.toggle();
+  debugPanel.classList.toggle('hidden', !debug.enabled);
+  applyDebug();
+}
+
+// backtick toggles debug mode; full stop steps one tick while frozen. True when the key was used here
+function handleDebugKey(e) {
+  if (e.target instanceof HTMLInputElement && e.target.type === 'text') return false;
+  if (e.code === 'Backquote') {
+    e.preventDefault();
+    toggleDebug();
+    return true;
+  }
+  if (e.code === 'Period' && debug.frozen) {
+    e.preventDefault();
+    debug.step();
+    return true;
+  }
+  return false;
+}
+
+debugInvincible.addEventListener('change', () => {
+  debug.invincible = debugInvincible.checked;
+  applyDebug();
+});
+btnDebugFreeze.addEventListener('click', () => {
+  debug.setFrozen(!debug.frozen);
+  syncDebugPanel();
+});
+btnDebugStep.addEventListener('click', () => debug.step());
+btnDebugReset.addEventListener('click', () => {
+  debug.reset();
+  applyDebug();
+});
+btnDebugExport.addEventListener('click', () => {
+  const difficulty = debugDifficulty();
+  downloadText(`ancient-pillars-tuning-${difficulty}.json`, debug.exportJson(difficulty));
+});
+
+/* -------------------------
+   Ghost racing: the best run is stored locally and re-flown next to the player
+   ------------------------- */
+/* ghost replay to race on a course, or null (racing off, no best yet, or another course; a blank seed is a
+   fresh one, so the best is only raced when its seed is asked for or through Race best) */
+function ghostFor(seed, difficulty) {
+  const best = bestReplays[difficulty];
+  if (!ghostRaceInput.checked || !best || seed !== best.seed) return null;
+  return best;
+}
+
+function loadBestReplays() {
+  const out = {};
+  for (let d of Object.keys(saveData.bestReplays)) {
+    try {
+      const replay = decodeReplay(saveData.bestReplays[d]);
+      if (replay.difficulty === d) out[d] = replay;
+    } catch (e) {
+      // unreadable or recorded with older physics: start without a ghost
+    }
+  }
+  return out;
 }
 
 /* -------------------------
    Initialize & start
    ------------------------- */
 function init() {
-  // set initial settings
+  // restore saved settings and records, then apply them
+  saveData = loadSaveData();
+  useCustomSheet(loadSkinSheet());
+  checkSkins(false); // earned before this build had skins
+  // a difficulty, hitbox, assist or colour scheme this build doesn't know falls back to the default
+  if (!DIFFICULTY_PRESETS[saveData.settings.difficulty]) saveData.settings.difficulty = DEFAULT_DIFFICULTY;
+  if (!hasKey(HITBOX_INSETS, saveData.settings.hitbox)) saveData.settings.hitbox = 'exact';
+  if (!ASSISTS.includes(saveData.settings.assist)) saveData.settings.assist = 'off';
+  if (!COLOR_SCHEMES[saveData.settings.colorScheme]) saveData.settings.colorScheme = 'standard';
+  writeSettingsInputs(saveData.settings);
   applySettings();
-
-  // set audio volumes
-  sfxFlap.volume = parseFloat(sfxVolInput.value);
-  sfxPoint.volume = parseFloat(sfxVolInput.value);
-  sfxHit.volume = parseFloat(sfxVolInput.value);
-  audioBgm.volume = parseFloat(musicVolInput.value);
+  bestReplays = loadBestReplays();
+  updateBestDisplays();
+  updateDailyDisplay();
+  updateControlHints();
+  buildPowerupHud();
+  watchOverlayFocus([menu, settings, leaderboard, achievementsPanel, pauseMenu, gameOver, courseCleared]);
+  buildDebugPanel();
+  if (new URLSearchParams(location.search).has('debug')) toggleDebug();
 
   // show menu demo
   showMenu();
@@ -684,10 +2256,15 @@ init();
    Utility: small polyfills & notes
    ------------------------- */
 /* Notes:
-   - Replace audio src in HTML with actual files in assets/ folder.
+   - Sound goes through the Web Audio mixer in audio.js; files in assets/ are used when present, otherwise the
+     sounds are synthesized.
    - The canvas internal resolution is fixed to 1280x720 for consistent physics; CSS scales it to the container.
-   - The menu runs a separate auto-controlled game instance so the background gameplay is smooth and never ends.
-   - The bird bounces back visually by setting a negative vy and stopping the game; you can expand bounce behavior to include horizontal nudges.
+   - core.js has no DOM access and can be required from Node to run headless games.
+   - The simulation runs in fixed 60 Hz ticks (TICK_MS) with an accumulator and rendering interpolates between them.
+     Slow-mo, gentle speed and replay speed only change how fast ticks are run, so replays stay exact.
+   - The menu runs a separate game flown by the autopilot (Autopilot in core.js).
+   - Runs that had help (Game.help) or were tuned in debug mode leave no records, coins or unlocks; gentle-speed runs
+     bank coins and unlocks but set no bests and enter no leaderboard (Game.ranked).
    - Pillar design is drawn procedurally to look like ancient stone columns; you can replace with images if desired.
 */
 
@@ -0,0 +1,220 @@
+/* skins.js */
+/* Bird skins: a body shape with an optional pattern and accessory, painted in the player's colour,
+   or a sprite sheet image the player loads. Every skin but the first unlocks with a best score or
+   the coins banked over all runs, and stays unlocked once earned (saved through storage.js).
+   The wing follows the bird's vertical speed: swept down just after a flap, raised as it falls.
+   drawBird in game.js translates and rotates, then calls paintSkin to draw around the origin. The body
+   shape is also the bird's hitbox (see Bird.getHitbox in core.js).
+*/
+
+const WING_SWING = 0.7; // radians the wing turns either side of level
+const DEFAULT_SKIN = 'classic';
+const CUSTOM_SKIN = 'custom';
+
+/* unlock: { score } best score in a classic or daily run, or { coins } banked over all runs */
+const SKINS = [
+  { id: 'classic', label: 'Classic', shape: 'square' },
+  { id: 'pebble', label: 'Pebble', shape: 'round', unlock: { score: 10 } },
+  { id: 'tiger', label: 'Tiger', shape: 'square', pattern: 'stripes', unlock: { coins: 25 } },
+  { id: 'laurel', label: 'Laurel', shape: 'round', accessory: 'laurel', unlock: { score: 25 } },
+  { id: 'mosaic', label: 'Mosaic', shape: 'square', pattern: 'tiles', unlock: { coins: 100 } },
+  { id: 'hoplite', label: 'Hoplite', shape: 'square', accessory: 'helmet', unlock: { score: 50 } },
+  { id: 'speckled', label: 'Speckled', shape: 'round', pattern: 'spots', unlock: { coins: 250 } },
+  { id: 'dapper', label: 'Dapper', shape: 'square', accessory: 'tophat', unlock: { coins: 500 } },
+  { id: 'emperor', label: 'Emperor', shape: 'round', pattern: 'stripes', accessory: 'crown', unlock: { score: 100 } },
+  { id: CUSTOM_SKIN, label: 'Sprite sheet', sheet: true } // the image loaded in settings
+];
+
+function skinById(id) {
+  return SKINS.find((s) => s.id === id) || SKINS[0];
+}
+
+/* the BIRD_CORNERS key the simulation collides with; sprite sheets fill the square */
+function skinBody(skin) {
+  return skin.shape === 'round' ? 'round' : 'square';
+}
+
+/* "Score 25 in a run", "Bank 100 coins" */
+function skinRequirement(skin) {
+  if (!skin.unlock) return '';
+  return skin.unlock.score != null ? `Score ${skin.unlock.score} in a run` : `Bank ${skin.unlock.coins} coins`;
+}
+
+function isSkinUnlocked(data, skin) {
+  return !skin.unlock || !!data.skins[skin.id];
+}
+
+/* skins the save has earned but not unlocked yet */
+function earnedSkins(data) {
+  const score = Math.max(0, ...Object.values(data.bestScores));
+  return SKINS.filter((s) => s.unlock && !data.skins[s.id] &&
+    (s.unlock.score != null ? score >= s.unlock.score : data.coins >= s.unlock.coins));
+}
+
+// -1 with the wing swept down (just flapped) to 1 with it raised (falling fast)
+function wingPhase(bird) {
+  const t = (bird.vy - FLAP_STRENGTH) / (MAX_DROP_SPEED - FLAP_STRENGTH);
+  return Math.max(-1, Math.min(1, t * 2 - 1));
+}
+
+/* -------------------------
+   Sprite sheets: one row of square frames, from wings up (left) to wings down (right)
+   ------------------------- */
+class SpriteSheet {
+  constructor(src) {
+    this.frames = 0; // known once the image has loaded
+    this.image = new Image();
+    this.image.onload = () => {
+      this.frames = Math.max(1, Math.floor(this.image.width / this.image.height));
+    };
+    this.image.src = src;
+  }
+
+  get ready() { return this.frames > 0; }
+
+  draw(ctx, radius, phase) {
+    const size = this.image.height;
+    const frame = Math.round((1 - phase) / 2 * (this.frames - 1));
+    ctx.drawImage(this.image, frame * size, 0, size, size, -radius, -radius, radius * 2, radius * 2);
+  }
+}
+
+let customSheet = null; // SpriteSheet for CUSTOM_SKIN, or null when none is loaded
+
+function useCustomSheet(src) {
+  customSheet = src ? new SpriteSheet(src) : null;
+}
+
+/* -------------------------
+   Painting (origin at the bird's centre, facing right)
+   ------------------------- */
+function paintSkin(ctx, bird, skin) {
+  // a sprite sheet still loading (or never loaded) shows the classic bird
+  if (skin.sheet) {
+    if (customSheet && customSheet.ready) {
+      customSheet.draw(ctx, bird.radius, wingPhase(bird));
+      return;
+    }
+    skin = SKINS[0];
+  }
+  const r = bird.radius;
+
+  // body, with the pattern clipped to it
+  ctx.fillStyle = bird.color;
+  bodyPath(ctx, skin.shape, r);
+  ctx.fill();
+  if (skin.pattern) {
+    ctx.save();
+    bodyPath(ctx, skin.shape, r);
+    ctx.clip();
+    ctx.fillStyle = shadeColor(bird.color, -18);
+    SKIN_PATTERNS[skin.pattern](ctx, r);
+    ctx.restore();
+  }
+
+  // wing, turning about its root
+  ctx.save();
+  ctx.rotate(wingPhase(bird) * WING_SWING);
+  ctx.fillStyle = shadeColor(bird.color, -12);
+  ctx.beginPath();
+  ctx.ellipse(-6, 0, 10, 6, Math.PI/6, 0, Math.PI*2);
+  ctx.fill();
+  ctx.restore();
+
+  paintEyes(ctx, bird.eyeSize);
+  if (skin.accessory) SKIN_ACCESSORIES[skin.accessory](ctx, r);
+}
+
+function bodyPath(ctx, shape, r) {
+  if (shape === 'round') {
+    ctx.beginPath();
+    ctx.arc(0, 0, r, 0, Math.PI*2);
+  } else {
+    roundRect(ctx, -r, -r, r*2, r*2, BIRD_CORNERS.square);
+  }
+}
+
+function paintEyes(ctx, size) {
+  const x = 8;
+  for (let y of [-6, 2]) {
+    ctx.fillStyle = '#fff';
+    ctx.beginPath();
+    ctx.ellipse(x, y, size/2, size/2, 0, 0, Math.PI*2);
+    ctx.fill();
+    ctx.fillStyle = '#222';
+    ctx.beginPath();
+    ctx.ellipse(x + 2, y, size/4, size/4, 0, 0, Math.PI*2);
+    ctx.fill();
+  }
+}
+
+/* patterns fill in the current fillStyle (a shade of the body colour) */
+const SKIN_PATTERNS = {
+  stripes: (ctx, r) => {
+    for (let x = -r + 4; x < r; x += 11) ctx.fillRect(x, -r, 4, r*2);
+  },
+  tiles: (ctx, r) => {
+    const step = 9;
+    const n = Math.ceil(r*2 / step);
+    for (let row = 0; row < n; row++) {
+      for (let col = row % 2; col < n; col += 2) ctx.fillRect(-r + col*step + 1, -r + row*step + 1, step - 2, step - 2);
+    }
+  },
+  spots: (ctx, r) => {
+    for (let [x, y, s] of [[-12, -12, 4], [-2, 12, 5], [-14, 8, 3], [12, 14, 3], [2, -16, 3]]) {
+      ctx.beginPath();
+      ctx.arc(x * r / BIRD_RADIUS, y * r / BIRD_RADIUS, s, 0, Math.PI*2);
+      ctx.fill();
+    }
+  }
+};
+
+/* accessories sit on top of the head (y = -r) */
+const SKIN_ACCESSORIES = {
+  laurel: (ctx, r) => {
+    ctx.fillStyle = '#5f9e3c';
+    for (let i = 0; i < 5; i++) {
+      for (let side of [-1, 1]) {
+        const a = -Math.PI/2 + side * (0.35 + i * 0.3);
+        ctx.beginPath();
+        ctx.ellipse(Math.cos(a) * (r - 2), Math.sin(a) * (r - 2), 6, 3, a + side * Math.PI/2, 0, Math.PI*2);
+        ctx.fill();
+      }
+    }
+  },
+  helmet: (ctx, r) => {
+    ctx.fillStyle = '#c8913a';
+    ctx.beginPath();
+    ctx.arc(0, -r + 6, r * 0.8, Math.PI, 0);
+    ctx.fill();
+    ctx.fillStyle = '#b33a2b';
+    roundRect(ctx, -r * 0.7, -r - 14, r * 1.2, 8, 4);
+    ctx.fill();
+  },
+  tophat: (ctx, r) => {
+    ctx.fillStyle = '#222';
+    ctx.fillRect(-r * 0.7, -r - 2, r * 1.4, 4);
+    ctx.fillRect(-r * 0.45, -r - 22, r * 0.9, 21);
+    ctx.fillStyle = '#b33a2b';
+    ctx.fillRect(-r * 0.45, -r - 8, r * 0.9, 4);
+  },
+  crown: (ctx, r) => {
+    const w = r * 1.1;
+    ctx.fillStyle = '#f4c542';
+    ctx.strokeStyle = '#b8891a';
+    ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    ctx.moveTo(-w/2, -r + 4);
+    ctx.lineTo(-w/2, -r - 10);
+    ctx.lineTo(-w/4, -r - 3);
+    ctx.lineTo(0, -r - 14);
+    ctx.lineTo(w/4, -r - 3);
+    ctx.lineTo(w/2, -r - 10);
+    ctx.lineTo(w/2, -r + 4);
+    ctx.closePath();
+    ctx.fill();
+    ctx.stroke();
+  }
+};
+
+/* End of file */
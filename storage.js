@@ -0,0 +1,376 @@
+/* storage.js */
+/* Versioned save data kept in localStorage: settings, best score and best run's replay per
+   difficulty, the local leaderboards, the coin total, daily challenge results, the course being edited,
+   lifetime stats and unlocked achievements. The custom skin's sprite sheet is kept under a key of its own.
+   Everything read back is validated field by field, so a corrupt or hand-edited save (or one
+   written before a field existed) falls back to defaults instead of breaking the game.
+   Older formats are upgraded through SAVE_MIGRATIONS on load.
+*/
+
+const SAVE_KEY = 'ancientPillars.save';
+const SAVE_VERSION = 2;
+
+/* Before the versioned store only the best replay was saved, under its own key */
+const LEGACY_BEST_REPLAY_KEY = 'ancientPillars.bestReplay';
+
+/* Big enough to run into the storage quota, so a sheet that doesn't fit can't stop the save being written */
+const SKIN_SHEET_KEY = 'ancientPillars.skinSheet';
+
+const LEADERBOARD_SIZE = 10;
+const DAILY_HISTORY_DAYS = 60; // days of daily challenge results kept
+const DEATH_CAUSES = ['pillar', 'floor', 'ceiling'];
+const SKIN_SHEET_MAX = 700000; // characters of a sprite sheet data URL (about 500 KB of image)
+
+function defaultSaveData() {
+  return {
+    version: SAVE_VERSION,
+    settings: {
+      birdColor: '#2ecc71',
+      bird2Color: '#e67e22', // player two in versus
+      eyeSize: 12,
+      skin: 'classic', // SKINS id (skins.js)
+      sfxVol: 0.8,
+      musicVol: 0.4,
+      muteAll: false,
+      seed: '',
+      ghostRace: true,
+      difficulty: 'normal',
+      hitbox: 'exact',         // HITBOX_INSETS key (core.js)
+      assist: 'off',           // 'off', 'hint' (path shown) or 'correct' (Simulation assist)
+      reducedMotion: false,
+      colorScheme: 'standard', // accessibility: COLOR_SCHEMES key (background.js)
+      gameSpeed: 1,            // time scale for live games; below 1 is the gentle mode
+      oneSwitch: false,        // any key flaps and restarts
+      controls: { flap: ['Space', ''], flap2: ['Enter', ''], pause: ['Escape', 'KeyP'] } // KeyboardEvent.code per slot, '' = unbound
+    },
+    bestScores: {},  // difficulty -> best score
+    bestReplays: {}, // difficulty -> encoded replay JSON (see encodeReplay in core.js)
+    lastInitials: '',
+    leaderboards: {}, // 'mode/difficulty' -> [{ name, score, date }], best first
+    coins: 0, // collected over all runs
+    daily: { days: {}, lastDay: '', streak: 0 }, // days: 'YYYY-MM-DD' (local) -> { attempts, best }
+    course: '', // encoded course JSON open in the editor (see encodeCourse in core.js), '' = none yet
+    stats: { games: 0, flaps: 0, pillars: 0, longestTicks: 0, deaths: { pillar: 0, floor: 0, ceiling: 0 } }, // over all live runs
+    achievements: {}, // id -> 'YYYY-MM-DD' it was unlocked (see ACHIEVEMENTS in achievements.js)
+    skins: {}         // id -> 'YYYY-MM-DD' it was unlocked (see SKINS in skins.js)
+  };
+}
+
+/* Upgrades keyed by the version they start from; each returns data in the next version's shape */
+const SAVE_MIGRATIONS = {
+  // 0 -> 1: wrap the loose best replay into the versioned store
+  0: (data) => {
+    let bestScore = 0;
+    try {
+      bestScore = JSON.parse(data.bestReplay).score;
+    } catch (e) {}
+    return { version: 1, settings: {}, bestScore, bestReplay: data.bestReplay };
+  },
+  // 1 -> 2: records became per difficulty; everything before presets was played on Normal
+  1: (data) => {
+    const next = { ...data, version: 2, bestScores: {}, bestReplays: {} };
+    if (Number.isInteger(data.bestScore)) next.bestScores.normal = data.bestScore;
+    if (typeof data.bestReplay === 'string') next.bestReplays.normal = data.bestReplay;
+    delete next.bestScore;
+    delete next.bestReplay;
+    return next;
+  }
+};
+
+/* -------------------------
+   Load / save
+   ------------------------- */
+function getStorage() {
+  try {
+    return typeof localStorage !== 'undefined' ? localStorage : null;
+  } catch (e) {
+    // access can throw when storage is disabled (e.g. privacy mode)
+    return null;
+  }
+}
+
+function loadSaveData(storage = getStorage()) {
+  let raw = null;
+  try {
+    const text = storage && storage.getItem(SAVE_KEY);
+    if (text) {
+      raw = JSON.parse(text);
+    } else {
+      const legacy = storage && storage.getItem(LEGACY_BEST_REPLAY_KEY);
+      if (legacy) raw = { version: 0, bestReplay: legacy };
+    }
+  } catch (e) {
+    raw = null;
+  }
+  return migrateSaveData(raw);
+}
+
+function writeSaveData(data, storage = getStorage()) {
+  if (!storage) return false;
+  try {
+    storage.setItem(SAVE_KEY, JSON.stringify(data));
+    storage.removeItem(LEGACY_BEST_REPLAY_KEY);
+    return true;
+  } catch (e) {
+    // quota exceeded or storage disabled: keep playing without persistence
+    return false;
+  }
+}
+
+/* data URL of the sprite sheet loaded for the custom skin, '' = none */
+function loadSkinSheet(storage = getStorage()) {
+  try {
+    const src = storage && storage.getItem(SKIN_SHEET_KEY);
+    return isImageDataUrl(src) ? src : '';
+  } catch (e) {
+    return '';
+  }
+}
+
+/* keep src as the sprite sheet ('' forgets it); false if it couldn't be stored */
+function writeSkinSheet(src, storage = getStorage()) {
+  if (!storage) return false;
+  try {
+    if (src) storage.setItem(SKIN_SHEET_KEY, src);
+    else storage.removeItem(SKIN_SHEET_KEY);
+    return true;
+  } catch (e) {
+    // quota exceeded or storage disabled
+    return false;
+  }
+}
+
+function migrateSaveData(raw) {
+  if (!raw || typeof raw !== 'object') return defaultSaveData();
+  let data = raw;
+  let version = Number.isInteger(raw.version) ? raw.version : 0;
+  while (version < SAVE_VERSION && SAVE_MIGRATIONS[version]) {
+    data = SAVE_MIGRATIONS[version](data);
+    version++;
+  }
+  // saves from a newer build are read best-effort: known fields are kept, unknown ones dropped
+  return validateSaveData(data);
+}
+
+/* -------------------------
+   Validation
+   ------------------------- */
+function validateSaveData(data) {
+  const d = defaultSaveData();
+  const s = (data.settings && typeof data.settings === 'object') ? data.settings : {};
+  return {
+    version: SAVE_VERSION,
+    settings: {
+      birdColor: isHexColor(s.birdColor) ? s.birdColor : d.settings.birdColor,
+      bird2Color: isHexColor(s.bird2Color) ? s.bird2Color : d.settings.bird2Color,
+      eyeSize: clampInt(s.eyeSize, 4, 24, d.settings.eyeSize),
+      skin: isId(s.skin) ? s.skin : d.settings.skin,
+      sfxVol: clampNumber(s.sfxVol, 0, 1, d.settings.sfxVol),
+      musicVol: clampNumber(s.musicVol, 0, 1, d.settings.musicVol),
+      muteAll: typeof s.muteAll === 'boolean' ? s.muteAll : d.settings.muteAll,
+      seed: typeof s.seed === 'string' ? s.seed.slice(0, 64) : d.settings.seed,
+      ghostRace: typeof s.ghostRace === 'boolean' ? s.ghostRace : d.settings.ghostRace,
+      difficulty: isId(s.difficulty) ? s.difficulty : d.settings.difficulty,
+      hitbox: isId(s.hitbox) ? s.hitbox : d.settings.hitbox,
+      assist: isId(s.assist) ? s.assist : d.settings.assist,
+      reducedMotion: typeof s.reducedMotion === 'boolean' ? s.reducedMotion : d.settings.reducedMotion,
+      colorScheme: isId(s.colorScheme) ? s.colorScheme : d.settings.colorScheme,
+      gameSpeed: clampNumber(s.gameSpeed, 0.5, 1, d.settings.gameSpeed),
+      oneSwitch: typeof s.oneSwitch === 'boolean' ? s.oneSwitch : d.settings.oneSwitch,
+      controls: validateControls(s.controls, d.settings.controls)
+    },
+    bestScores: validateMap(data.bestScores, v => Number.isInteger(v) && v >= 0),
+    bestReplays: validateMap(data.bestReplays, v => typeof v === 'string'),
+    lastInitials: isInitials(data.lastInitials) ? data.lastInitials : d.lastInitials,
+    leaderboards: validateLeaderboards(data.leaderboards),
+    coins: clampInt(data.coins, 0, Number.MAX_SAFE_INTEGER, d.coins),
+    daily: validateDaily(data.daily),
+    course: typeof data.course === 'string' ? data.course : d.course,
+    stats: validateStats(data.stats),
+    achievements: validateMap(data.achievements, isDateStamp),
+    skins: validateMap(data.skins, isDateStamp)
+  };
+}
+
+function validateStats(stats) {
+  const s = (stats && typeof stats === 'object') ? stats : {};
+  const deaths = (s.deaths && typeof s.deaths === 'object') ? s.deaths : {};
+  const count = (v) => clampInt(v, 0, Number.MAX_SAFE_INTEGER, 0);
+  const out = { games: count(s.games), flaps: count(s.flaps), pillars: count(s.pillars), longestTicks: count(s.longestTicks), deaths: {} };
+  for (let cause of DEATH_CAUSES) out.deaths[cause] = count(deaths[cause]);
+  return out;
+}
+
+function validateDaily(daily) {
+  const d = (daily && typeof daily === 'object') ? daily : {};
+  const days = {};
+  if (d.days && typeof d.days === 'object') {
+    for (let stamp of Object.keys(d.days)) {
+      const day = d.days[stamp];
+      if (!isDateStamp(stamp) || !day || !Number.isInteger(day.attempts) || day.attempts < 1) continue;
+      days[stamp] = { attempts: day.attempts, best: clampInt(day.best, 0, Number.MAX_SAFE_INTEGER, 0) };
+    }
+  }
+  const lastDay = isDateStamp(d.lastDay) ? d.lastDay : '';
+  return { days, lastDay, streak: lastDay ? clampInt(d.streak, 1, Number.MAX_SAFE_INTEGER, 1) : 0 };
+}
+
+function validateLeaderboards(boards) {
+  const out = {};
+  if (!boards || typeof boards !== 'object') return out;
+  for (let key of Object.keys(boards)) {
+    if (!/^[a-z0-9-]+\/[a-z0-9-]+$/.test(key) || !Array.isArray(boards[key])) continue;
+    const entries = boards[key]
+      .filter(e => e && isInitials(e.name) && Number.isInteger(e.score) && e.score >= 0 &&
+        typeof e.date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(e.date))
+      .map(e => ({ name: e.name, score: e.score, date: e.date }));
+    if (entries.length) out[key] = sortLeaderboard(entries).slice(0, LEADERBOARD_SIZE);
+  }
+  return out;
+}
+
+/* every action keeps its number of slots; a bad action falls back to its default keys */
+function validateControls(controls, defaults) {
+  const c = (controls && typeof controls === 'object') ? controls : {};
+  const out = {};
+  for (let action of Object.keys(defaults)) {
+    const keys = c[action];
+    const ok = Array.isArray(keys) && keys.length === defaults[action].length && keys.every(isKeyCode);
+    out[action] = ok ? keys.slice() : defaults[action].slice();
+  }
+  return out;
+}
+
+/* keep only id-keyed entries whose value passes check */
+function validateMap(map, check) {
+  const out = {};
+  if (!map || typeof map !== 'object') return out;
+  for (let key of Object.keys(map)) {
+    if (isId(key) && check(map[key])) out[key] = map[key];
+  }
+  return out;
+}
+
+function isId(v) { return typeof v === 'string' && /^[a-z0-9-]{1,32}$/.test(v); }
+
+function isKeyCode(v) { return typeof v === 'string' && /^[A-Za-z0-9]{0,32}$/.test(v); }
+
+function isInitials(v) { return typeof v === 'string' && /^[A-Z0-9]{1,3}$/.test(v); }
+
+function isDateStamp(v) { return typeof v === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(v); }
+
+function isImageDataUrl(v) { return typeof v === 'string' && v.length <= SKIN_SHEET_MAX && /^data:image\/(png|gif|webp);base64,/.test(v); }
+
+/* -------------------------
+   Leaderboards: one top-10 table per game mode and difficulty
+   ------------------------- */
+function leaderboardKey(mode, difficulty) { return `${mode}/${difficulty}`; }
+
+// best score first; equal scores keep the earlier entry on top
+function sortLeaderboard(entries) {
+  return entries.slice().sort((a, b) => b.score - a.score);
+}
+
+function qualifiesForLeaderboard(entries, score) {
+  if (score <= 0) return false;
+  return entries.length < LEADERBOARD_SIZE || score > entries[entries.length - 1].score;
+}
+
+/* Insert an entry into data.leaderboards[key]; returns its 1-based rank, or 0 if it did not place */
+function addLeaderboardEntry(data, key, entry) {
+  const entries = data.leaderboards[key] || [];
+  if (!qualifiesForLeaderboard(entries, entry.score)) return 0;
+  const sorted = sortLeaderboard(entries.concat([entry])).slice(0, LEADERBOARD_SIZE);
+  data.leaderboards[key] = sorted;
+  return sorted.indexOf(entry) + 1;
+}
+
+/* -------------------------
+   Daily challenge: attempts and best score per local date, and the run of consecutive days played
+   ------------------------- */
+/* Count a new attempt at the challenge for stamp; returns that day's { attempts, best } */
+function startDailyAttempt(data, stamp) {
+  const daily = data.daily;
+  const day = daily.days[stamp] || (daily.days[stamp] = { attempts: 0, best: 0 });
+  day.attempts++;
+  if (daily.lastDay !== stamp) {
+    daily.streak = daily.lastDay === previousDay(stamp) ? daily.streak + 1 : 1;
+    daily.lastDay = stamp;
+  }
+  const old = Object.keys(daily.days).sort().slice(0, -DAILY_HISTORY_DAYS);
+  for (let s of old) delete daily.days[s];
+  return day;
+}
+
+/* true if score is a new best for that day */
+function recordDailyScore(data, stamp, score) {
+  const day = data.daily.days[stamp];
+  if (!day || score <= day.best) return false;
+  day.best = score;
+  return true;
+}
+
+/* days in a row played, as of today: a streak lasts until a whole day goes unplayed */
+function dailyStreak(data, today) {
+  const { lastDay, streak } = data.daily;
+  return lastDay === today || lastDay === previousDay(today) ? streak : 0;
+}
+
+function previousDay(stamp) {
+  const d = new Date(`${stamp}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() - 1);
+  return d.toISOString().slice(0, 10);
+}
+
+/* -------------------------
+   Lifetime stats, achievements and skins
+   ------------------------- */
+/* Add a finished run ({ flaps, pillars, ticks, death }; death is a DEATH_CAUSES entry or null) to the totals */
+function addRunStats(data, run) {
+  const stats = data.stats;
+  stats.games++;
+  stats.flaps += run.flaps;
+  stats.pillars += run.pillars;
+  stats.longestTicks = Math.max(stats.longestTicks, run.ticks);
+  if (DEATH_CAUSES.includes(run.death)) stats.deaths[run.death]++;
+  return stats;
+}
+
+/* true if the achievement was newly unlocked */
+function unlockAchievement(data, id, stamp) {
+  if (data.achievements[id]) return false;
+  data.achievements[id] = stamp;
+  return true;
+}
+
+/* true if the skin was newly unlocked */
+function unlockSkin(data, id, stamp) {
+  if (data.skins[id]) return false;
+  data.skins[id] = stamp;
+  return true;
+}
+
+function isHexColor(v) { return typeof v === 'string' && /^#[0-9a-f]{6}$/i.test(v); }
+
+function clampNumber(v, min, max, fallback) {
+  if (typeof v !== 'number' || !Number.isFinite(v)) return fallback;
+  return Math.max(min, Math.min(max, v));
+}
+
+function clampInt(v, min, max, fallback) {
+  return Number.isInteger(v) ? Math.max(min, Math.min(max, v)) : fallback;
+}
+
+/* Node export (ignored in the browser, where these are plain script globals) */
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    SAVE_KEY, SAVE_VERSION, LEADERBOARD_SIZE, SKIN_SHEET_KEY,
+    defaultSaveData, loadSaveData, writeSaveData, loadSkinSheet, writeSkinSheet, migrateSaveData, validateSaveData,
+    leaderboardKey, qualifiesForLeaderboard, addLeaderboardEntry,
+    startDailyAttempt, recordDailyScore, dailyStreak,
+    DEATH_CAUSES, addRunStats, unlockAchievement,
+    SKIN_SHEET_MAX, unlockSkin
+  };
+}
+
+/* End of file */
@@ -0,0 +1,24 @@
+/* test/autopilot.test.js */
+// The menu demo's autopilot should fly on without crashing. Insane is only held to a shorter run: its
+// obstacles come into view too late for the planner to always find a way.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Simulation } = require('../core.js');
+
+const SEEDS = [1, 2, 3];
+const TICKS = { easy: 10000, normal: 10000, hard: 10000, insane: 5000 };
+
+for (let [difficulty, ticks] of Object.entries(TICKS)) {
+  for (let seed of SEEDS) {
+    test(`the autopilot flies ${ticks} ticks of ${difficulty} seed ${seed}`, () => {
+      const sim = new Simulation({ seed, difficulty, auto: true });
+      let hit = null;
+      sim.on('hit', e => { hit = e; });
+      sim.start();
+      while (!hit && sim.tick < ticks) sim.step();
+      assert.ok(!hit, hit && `hit ${hit.pillar ? `a ${hit.pillar.kind} pillar` : 'the edge'} at tick ${sim.tick}, score ${sim.score}`);
+    });
+  }
+}
+
+/* End of file */
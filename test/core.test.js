@@ -0,0 +1,129 @@
+/* test/core.test.js */
+// Headless checks of the simulation: seeded runs, replays and collisions. Run with `npm test`.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  BASE_HEIGHT, Bird, Pillar, Simulation, ReplayPlayer, createReplay, encodeReplay, decodeReplay,
+  circleRectCollision, hitboxRectCollision
+} = require('../core.js');
+
+/* -------------------------
+   Helpers
+   ------------------------- */
+// a run flown by the autopilot (it flaps often and scores), cut off after ticks
+function flyRun(seed, difficulty = 'normal', ticks = 3000) {
+  const sim = new Simulation({ seed, difficulty, auto: true });
+  sim.start();
+  while (!sim.over && sim.tick < ticks) sim.step();
+  return sim;
+}
+
+// where the obstacles are, rounded so the comparison reads well when it fails
+function layout(sim) {
+  return sim.pillars.map(p => `${p.kind} ${p.x.toFixed(2)} ${p.gapY.toFixed(2)} ${p.gap}`);
+}
+
+/* -------------------------
+   Seeded runs
+   ------------------------- */
+test('the same seed and flaps give the same run', () => {
+  const a = flyRun(7919);
+  const b = flyRun(7919);
+  assert.deepEqual(b.inputLog, a.inputLog);
+  assert.equal(b.score, a.score);
+  assert.deepEqual(layout(b), layout(a));
+  assert.ok(a.score > 0, 'the autopilot should have scored');
+});
+
+test('another seed gives another course', () => {
+  const a = new Simulation({ seed: 1 });
+  const b = new Simulation({ seed: 2 });
+  assert.notDeepEqual(layout(b), layout(a));
+});
+
+test('reset goes back to the same course, or to the one a new seed gives', () => {
+  const sim = new Simulation({ seed: 42 });
+  const start = layout(sim);
+  sim.start();
+  for (let i = 0; i < 200; i++) sim.step();
+  sim.reset();
+  assert.deepEqual(layout(sim), start);
+  sim.reset(43);
+  assert.equal(sim.seed, 43);
+  assert.deepEqual(layout(sim), layout(new Simulation({ seed: 43 })));
+});
+
+/* -------------------------
+   Replays
+   ------------------------- */
+test('a replay survives encoding and decoding', () => {
+  const replay = createReplay(flyRun(1234, 'hard'));
+  assert.deepEqual(decodeReplay(encodeReplay(replay)), replay);
+});
+
+test('a replay plays back to the same score', () => {
+  const sim = flyRun(99, 'easy');
+  const replay = decodeReplay(encodeReplay(createReplay(sim)));
+  const player = new ReplayPlayer(replay);
+  player.seek(replay.ticks);
+  assert.equal(player.sim.score, sim.score);
+  assert.deepEqual(player.sim.inputLog, sim.inputLog);
+});
+
+test('a broken replay is refused with a reason', () => {
+  const text = encodeReplay(createReplay(flyRun(5, 'normal', 300)));
+  assert.throws(() => decodeReplay('{'), /not valid JSON/);
+  assert.throws(() => decodeReplay(text.replace('"v":1', '"v":0')), /Unsupported replay format/);
+  assert.throws(() => decodeReplay(text.replace('"difficulty":"normal"', '"difficulty":"extreme"')), /difficulty is unknown/);
+  assert.throws(() => decodeReplay(text.replace(/"flaps":\[/, '"flaps":[-1,')), /input ticks are invalid/);
+});
+
+/* -------------------------
+   Collisions
+   ------------------------- */
+test('circles touch rects along edges and at corners', () => {
+  const rect = { x: 100, y: 100, w: 50, h: 50 };
+  assert.ok(circleRectCollision({ x: 125, y: 125, r: 1 }, rect)); // inside
+  assert.ok(circleRectCollision({ x: 90, y: 125, r: 10 }, rect)); // touching the left edge
+  assert.ok(!circleRectCollision({ x: 89, y: 125, r: 10 }, rect));
+  assert.ok(circleRectCollision({ x: 93, y: 93, r: 10 }, rect)); // within reach of the corner
+  assert.ok(!circleRectCollision({ x: 92, y: 92, r: 10 }, rect)); // level with both edges but past the corner
+});
+
+test('the hitbox follows the body and its turn', () => {
+  const bird = new Bird(200, 300);
+  const rect = { x: 200 + bird.radius + 1, y: 0, w: 50, h: BASE_HEIGHT };
+  assert.ok(!hitboxRectCollision(bird.getHitbox(), rect));
+  rect.x -= 2;
+  assert.ok(hitboxRectCollision(bird.getHitbox(), rect));
+  // turned by 45 degrees a square body reaches further
+  bird.body = 'square';
+  bird.rotation = bird.prevRotation = Math.PI / 4;
+  rect.x += 6;
+  assert.ok(hitboxRectCollision(bird.getHitbox(), rect));
+  assert.ok(!hitboxRectCollision(bird.getHitbox(), { x: rect.x, y: 0, w: 50, h: 200 }));
+});
+
+test('a bird that never flaps falls to the ground', () => {
+  const sim = new Simulation({ seed: 3 });
+  let hit = null;
+  sim.on('hit', e => { hit = e; });
+  sim.start();
+  while (!sim.over) sim.step();
+  assert.ok(hit && hit.fell && !hit.pillar);
+  assert.equal(sim.score, 0);
+});
+
+test('a pillar across the bird\'s path is hit', () => {
+  const sim = new Simulation({ seed: 3 });
+  const bird = sim.bird;
+  const wall = new Pillar(bird.x + bird.radius + 10, 40, 0, 60); // gap far above the bird
+  sim.pillars = [wall];
+  let hit = null;
+  sim.on('hit', e => { hit = e; });
+  sim.start();
+  for (let i = 0; i < 30 && !hit; i++) sim.step();
+  assert.ok(hit && hit.pillar === wall);
+});
+
+/* End of file */
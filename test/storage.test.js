@@ -0,0 +1,57 @@
+/* test/storage.test.js */
+// The save store against a fake localStorage with a small quota.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  SAVE_KEY, SKIN_SHEET_KEY, defaultSaveData, loadSaveData, writeSaveData, loadSkinSheet, writeSkinSheet
+} = require('../storage.js');
+
+// a Storage that throws like a browser's once quota characters are stored
+function fakeStorage(quota = Infinity) {
+  const items = new Map();
+  const used = () => [...items.values()].reduce((n, v) => n + v.length, 0);
+  return {
+    getItem: (k) => (items.has(k) ? items.get(k) : null),
+    setItem: (k, v) => {
+      const old = items.get(k);
+      if (used() - (old ? old.length : 0) + v.length > quota) throw new Error('QuotaExceededError');
+      items.set(k, String(v));
+    },
+    removeItem: (k) => items.delete(k)
+  };
+}
+
+const sheet = (chars) => `data:image/png;base64,${'A'.repeat(chars)}`;
+
+test('a save reads back as written', () => {
+  const storage = fakeStorage();
+  const data = defaultSaveData();
+  data.coins = 12;
+  data.bestScores.hard = 34;
+  assert.ok(writeSaveData(data, storage));
+  assert.deepEqual(loadSaveData(storage), data);
+});
+
+test('a corrupt save falls back to the defaults', () => {
+  const storage = fakeStorage();
+  storage.setItem(SAVE_KEY, '{ not json');
+  assert.deepEqual(loadSaveData(storage), defaultSaveData());
+});
+
+test('the sprite sheet is kept apart from the save', () => {
+  const storage = fakeStorage();
+  assert.ok(writeSkinSheet(sheet(100), storage));
+  assert.equal(loadSkinSheet(storage), sheet(100));
+  assert.ok(!storage.getItem(SAVE_KEY));
+  assert.ok(writeSkinSheet('', storage));
+  assert.equal(storage.getItem(SKIN_SHEET_KEY), null);
+});
+
+test('a sprite sheet that doesn\'t fit leaves the save writable', () => {
+  const storage = fakeStorage(20000);
+  assert.ok(!writeSkinSheet(sheet(30000), storage));
+  assert.equal(loadSkinSheet(storage), '');
+  assert.ok(writeSaveData(defaultSaveData(), storage));
+});
+
+/* End of file */